@@ -10,6 +10,8 @@ class AIPerformanceOptimizer {
     this.predictions = new Map();
     this.optimizationHistory = [];
     this.isLearning = false;
+    // 已保存的压缩数据无法读取时为 true，不再写入
+    this.storageLocked = false;
     
     this.init();
   }
@@ -60,8 +62,14 @@ class AIPerformanceOptimizer {
    * 加载历史数据
    */
   async loadHistoricalData() {
+    const key = AIPerformanceOptimizer.STORAGE_KEY;
     try {
-      const data = localStorage.getItem('ai-performance-data');
+      // 数据可能经 saveCompressed 压缩保存，等 Worker 优化器创建后由它读取，不依赖脚本的加载顺序
+      const optimizer = window.AdvancedPerformanceOptimizer ? await AdvancedPerformanceOptimizer.ready : null;
+      const data = optimizer ? await optimizer.loadCompressed(key) : localStorage.getItem(key);
+      if (data && data.indexOf(AIPerformanceOptimizer.COMPRESSED_PREFIX) === 0) {
+        throw new Error('数据经压缩保存，页面未加载 worker-manager.js，无法解压');
+      }
       if (data) {
         const parsed = JSON.parse(data);
         this.trainingData = parsed.trainingData || [];
@@ -70,6 +78,9 @@ class AIPerformanceOptimizer {
         console.log(`📚 加载了 ${this.trainingData.length} 条历史数据`);
       }
     } catch (error) {
+      // 无法读取的压缩数据保留原样，之后不再写入，以免覆盖已有的历史数据
+      const stored = localStorage.getItem(key);
+      this.storageLocked = Boolean(stored && stored.indexOf(AIPerformanceOptimizer.COMPRESSED_PREFIX) === 0);
       console.warn('历史数据加载失败:', error);
     }
   }
@@ -78,13 +89,21 @@ class AIPerformanceOptimizer {
    * 保存数据
    */
   saveData() {
+    if (this.storageLocked) return;
+    
     try {
-      const data = {
+      const data = JSON.stringify({
         trainingData: this.trainingData.slice(-1000), // 保留最近1000条
         optimizationHistory: this.optimizationHistory.slice(-100) // 保留最近100条
-      };
+      });
       
-      localStorage.setItem('ai-performance-data', JSON.stringify(data));
+      // 有 Worker 优化器时压缩保存
+      const optimizerReady = window.AdvancedPerformanceOptimizer ? AdvancedPerformanceOptimizer.ready : Promise.resolve(null);
+      optimizerReady
+        .then(optimizer => (optimizer
+          ? optimizer.saveCompressed(AIPerformanceOptimizer.STORAGE_KEY, data)
+          : localStorage.setItem(AIPerformanceOptimizer.STORAGE_KEY, data)))
+        .catch(error => console.warn('数据保存失败:', error));
     } catch (error) {
       console.warn('数据保存失败:', error);
     }
@@ -878,6 +897,11 @@ class NetworkAdaptationModel extends BaseMLModel {
   }
 }
 
+AIPerformanceOptimizer.STORAGE_KEY = 'ai-performance-data';
+
+// 与 AdvancedPerformanceOptimizer.STORAGE_PREFIX 一致
+AIPerformanceOptimizer.COMPRESSED_PREFIX = 'compressed:';
+
 // 全局实例
 window.AIPerformanceOptimizer = AIPerformanceOptimizer;
 
@@ -0,0 +1,207 @@
+/**
+ * 离线评论发件箱
+ * 离线时提交的 Twikoo 评论保存在 IndexedDB，联网后按提交顺序重新发送到 Twikoo 接口。
+ * 页面与 Service Worker 共用：Service Worker 在 background-sync 事件中发送，
+ * 不支持 Background Sync 的浏览器由页面在 online 事件中发送。
+ */
+
+class CommentOutbox {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'comment-outbox';
+    this.storeName = 'comments';
+    this.dbPromise = null;
+  }
+
+  static shared() {
+    if (!CommentOutbox.instance) {
+      CommentOutbox.instance = new CommentOutbox();
+    }
+    return CommentOutbox.instance;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB 不可用'));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 在一个读写事务中执行 run，事务完成后返回 run 的返回值
+   */
+  async transaction(mode, run) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      let result;
+      Promise.resolve(run(transaction.objectStore(this.storeName))).then(value => { result = value; });
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 保存一条待发送的评论
+   * @param {{endpoint: string, url: string, href: string, nick: string, mail: string, link: string,
+   *   comment: string, pid: string, rid: string, ua: string, accessToken: string}} comment
+   */
+  async add(comment) {
+    const entry = Object.assign({}, comment, {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now(),
+      status: CommentOutbox.STATUS.pending,
+      error: null
+    });
+    await this.transaction('readwrite', store => { store.put(entry); });
+    return entry;
+  }
+
+  /**
+   * @param {string} [url] 只返回该页面路径下的评论
+   */
+  async list(url) {
+    const entries = await this.transaction('readonly', store => new Promise(resolve => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+    }));
+    return entries
+      .filter(entry => !url || entry.url === url)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  remove(id) {
+    return this.transaction('readwrite', store => { store.delete(id); });
+  }
+
+  /**
+   * 将发送失败的评论重新标记为待发送
+   */
+  retry(id) {
+    return this.update(id, entry => {
+      entry.status = CommentOutbox.STATUS.pending;
+      entry.error = null;
+    });
+  }
+
+  update(id, change) {
+    return this.transaction('readwrite', store => new Promise(resolve => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (entry && change(entry) !== false) {
+          store.put(entry);
+          resolve(entry);
+        } else {
+          resolve(null);
+        }
+      };
+    }));
+  }
+
+  /**
+   * 标记为发送中，IndexedDB 事务串行执行，多个标签页或 Service Worker 同时发送时只有一方领取成功
+   * 发送中断（如页面关闭）超过 SENDING_TIMEOUT 的评论可被重新领取
+   */
+  claim(id) {
+    return this.update(id, entry => {
+      const stale = Date.now() - (entry.claimedAt || 0) > CommentOutbox.SENDING_TIMEOUT;
+      if (entry.status === CommentOutbox.STATUS.failed ||
+          (entry.status === CommentOutbox.STATUS.sending && !stale)) {
+        return false;
+      }
+      entry.status = CommentOutbox.STATUS.sending;
+      entry.claimedAt = Date.now();
+    });
+  }
+
+  /**
+   * 按提交顺序发送全部待发送评论
+   * 网络错误时评论保持待发送并抛出错误，由 Background Sync 稍后重试；
+   * 接口拒绝（如内容不合规）时标记为失败，保留给用户修改或删除
+   * @param {function(Object)} report 每条评论发送成功或失败后调用，
+   *   参数为 { type: 'COMMENT_SENT' | 'COMMENT_FAILED', id, url, message }
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async flush(report = () => {}) {
+    const result = { sent: 0, failed: 0 };
+    for (const pending of await this.list()) {
+      const entry = await this.claim(pending.id);
+      if (!entry) continue;
+
+      let response;
+      try {
+        response = await CommentOutbox.send(entry);
+      } catch (error) {
+        await this.update(entry.id, item => { item.status = CommentOutbox.STATUS.pending; });
+        throw error;
+      }
+
+      if (response.ok) {
+        await this.remove(entry.id);
+        result.sent++;
+        report({ type: 'COMMENT_SENT', id: entry.id, url: entry.url });
+      } else {
+        await this.update(entry.id, item => {
+          item.status = CommentOutbox.STATUS.failed;
+          item.error = response.message;
+        });
+        result.failed++;
+        report({ type: 'COMMENT_FAILED', id: entry.id, url: entry.url, message: response.message });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 以 Twikoo 客户端相同的格式调用 COMMENT_SUBMIT
+   * 网络不可用时抛出错误，接口返回错误时返回 { ok: false, message }
+   */
+  static async send(entry) {
+    const { endpoint, id, createdAt, status, error, claimedAt, ...comment } = entry;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({ event: 'COMMENT_SUBMIT' }, comment))
+    });
+    if (response.status >= 500) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.code || !data.id) {
+      return { ok: false, message: data.message || `HTTP ${response.status}` };
+    }
+    return { ok: true, id: data.id };
+  }
+}
+
+CommentOutbox.STATUS = { pending: 'pending', sending: 'sending', failed: 'failed' };
+
+// 发送中状态的有效期
+CommentOutbox.SENDING_TIMEOUT = 60 * 1000;
+
+// Background Sync 的标签
+CommentOutbox.SYNC_TAG = 'background-sync';
+
+CommentOutbox.instance = null;
+
+// 导出模块（页面与 Service Worker 挂到全局，Node 中走 CommonJS）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommentOutbox;
+} else {
+  self.CommentOutbox = CommentOutbox;
+}
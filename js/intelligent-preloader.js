@@ -9,6 +9,8 @@ class IntelligentPreloader {
     this.preloadQueue = new Set();
     this.performanceMetrics = new Map();
     this.mlModel = null;
+    // 已保存的压缩数据无法读取时为 true，不再写入
+    this.storageLocked = false;
     this.init();
   }
 
@@ -60,29 +62,38 @@ class IntelligentPreloader {
    * 加载用户行为模型
    */
   async loadBehaviorModel() {
+    const key = IntelligentPreloader.STORAGE_KEY;
     try {
       // 从localStorage加载历史数据
-      const storedData = localStorage.getItem('userBehaviorModel');
+      // 数据可能经 saveCompressed 压缩保存，等 Worker 优化器创建后由它读取，不依赖脚本的加载顺序
+      const optimizer = window.AdvancedPerformanceOptimizer ? await AdvancedPerformanceOptimizer.ready : null;
+      const storedData = optimizer ? await optimizer.loadCompressed(key) : localStorage.getItem(key);
+      if (storedData && storedData.indexOf(IntelligentPreloader.COMPRESSED_PREFIX) === 0) {
+        throw new Error('数据经压缩保存，页面未加载 worker-manager.js，无法解压');
+      }
       if (storedData) {
         this.userBehavior = new Map(JSON.parse(storedData));
       }
-
-      // 初始化机器学习模型（简化版）
-      this.mlModel = {
-        weights: {
-          timeSpent: 0.3,
-          scrollDepth: 0.25,
-          clickPattern: 0.2,
-          timeOfDay: 0.15,
-          deviceType: 0.1
-        },
-        threshold: 0.7
-      };
-
-      console.log('📊 用户行为模型已加载');
     } catch (error) {
+      // 无法读取的压缩数据保留原样，之后不再写入，以免覆盖已学到的模型
+      const stored = localStorage.getItem(key);
+      this.storageLocked = Boolean(stored && stored.indexOf(IntelligentPreloader.COMPRESSED_PREFIX) === 0);
       console.warn('用户行为模型加载失败:', error);
     }
+
+    // 初始化机器学习模型（简化版）
+    this.mlModel = {
+      weights: {
+        timeSpent: 0.3,
+        scrollDepth: 0.25,
+        clickPattern: 0.2,
+        timeOfDay: 0.15,
+        deviceType: 0.1
+      },
+      threshold: 0.7
+    };
+
+    console.log('📊 用户行为模型已加载');
   }
 
   /**
@@ -439,9 +450,17 @@ class IntelligentPreloader {
    * 保存用户行为数据
    */
   saveUserBehavior() {
+    if (this.storageLocked) return;
+
     try {
-      const dataToSave = Array.from(this.userBehavior.entries());
-      localStorage.setItem('userBehaviorModel', JSON.stringify(dataToSave));
+      const dataToSave = JSON.stringify(Array.from(this.userBehavior.entries()));
+      // 有 Worker 优化器时压缩保存
+      const optimizerReady = window.AdvancedPerformanceOptimizer ? AdvancedPerformanceOptimizer.ready : Promise.resolve(null);
+      optimizerReady
+        .then(optimizer => (optimizer
+          ? optimizer.saveCompressed(IntelligentPreloader.STORAGE_KEY, dataToSave)
+          : localStorage.setItem(IntelligentPreloader.STORAGE_KEY, dataToSave)))
+        .catch(error => console.warn('保存用户行为数据失败:', error));
     } catch (error) {
       console.warn('保存用户行为数据失败:', error);
     }
@@ -497,6 +516,11 @@ class IntelligentPreloader {
   }
 }
 
+IntelligentPreloader.STORAGE_KEY = 'userBehaviorModel';
+
+// 与 AdvancedPerformanceOptimizer.STORAGE_PREFIX 一致
+IntelligentPreloader.COMPRESSED_PREFIX = 'compressed:';
+
 // 自动初始化
 document.addEventListener('DOMContentLoaded', () => {
   window.intelligentPreloader = new IntelligentPreloader();
@@ -0,0 +1,198 @@
+/**
+ * LZ4 块格式编解码（纯 JS）
+ * 按 LZ4 Block Format 规范实现，压缩速度优先，压缩率低于 gzip，适合频繁读写的本地数据。
+ * compress/decompress 在压缩块前加 4 字节小端序的原始长度，解压时据此分配输出；
+ * compressBlock/decompressBlock 处理不带长度的原始块，可与其他 LZ4 实现互通。
+ */
+
+class LZ4Block {
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {Uint8Array} 原始长度 + 压缩块
+   */
+  static compress(bytes) {
+    const block = LZ4Block.compressBlock(bytes);
+    const out = new Uint8Array(block.length + 4);
+    new DataView(out.buffer).setUint32(0, bytes.length, true);
+    out.set(block, 4);
+    return out;
+  }
+
+  /**
+   * @param {Uint8Array} data compress 的输出
+   * @returns {Uint8Array}
+   */
+  static decompress(data) {
+    if (data.length < 4) {
+      throw new Error('LZ4 数据不完整');
+    }
+    const size = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(0, true);
+    return LZ4Block.decompressBlock(data.subarray(4), size);
+  }
+
+  /**
+   * 压缩上限：数据不可压缩时每 255 字节字面量多一个长度字节
+   */
+  static maxCompressedSize(length) {
+    return length + Math.ceil(length / 255) + 16;
+  }
+
+  static compressBlock(src) {
+    const length = src.length;
+    const out = new Uint8Array(LZ4Block.maxCompressedSize(length));
+    const table = new Int32Array(1 << LZ4Block.HASH_LOG).fill(-1);
+    // 规范要求最后一个匹配在块尾 MF_LIMIT 字节之前开始，且最后 LAST_LITERALS 字节为字面量
+    const matchStartLimit = length - LZ4Block.MF_LIMIT;
+    const matchEndLimit = length - LZ4Block.LAST_LITERALS;
+    let op = 0;
+    let anchor = 0;
+    let ip = 0;
+
+    while (ip < matchStartLimit) {
+      const sequence = LZ4Block.read32(src, ip);
+      const hash = Math.imul(sequence, 2654435761) >>> (32 - LZ4Block.HASH_LOG);
+      const ref = table[hash];
+      table[hash] = ip;
+
+      if (ref < 0 || ip - ref > LZ4Block.MAX_OFFSET || LZ4Block.read32(src, ref) !== sequence) {
+        ip++;
+        continue;
+      }
+
+      let matchLength = LZ4Block.MIN_MATCH;
+      while (ip + matchLength < matchEndLimit && src[ref + matchLength] === src[ip + matchLength]) {
+        matchLength++;
+      }
+
+      op = LZ4Block.writeSequence(out, op, src, anchor, ip - anchor, ip - ref, matchLength);
+      ip += matchLength;
+      anchor = ip;
+    }
+
+    // 最后一段只有字面量
+    op = LZ4Block.writeSequence(out, op, src, anchor, length - anchor, 0, 0);
+    return out.slice(0, op);
+  }
+
+  /**
+   * @param {Uint8Array} src 压缩块
+   * @param {number} size 原始长度
+   */
+  static decompressBlock(src, size) {
+    const out = new Uint8Array(size);
+    let ip = 0;
+    let op = 0;
+
+    const readLength = initial => {
+      let value = initial;
+      if (initial === 15) {
+        let byte;
+        do {
+          if (ip >= src.length) {
+            throw new Error('LZ4 数据不完整');
+          }
+          byte = src[ip++];
+          value += byte;
+        } while (byte === 255);
+      }
+      return value;
+    };
+
+    while (ip < src.length) {
+      const token = src[ip++];
+
+      const literalLength = readLength(token >> 4);
+      if (ip + literalLength > src.length || op + literalLength > size) {
+        throw new Error('LZ4 数据损坏：字面量越界');
+      }
+      out.set(src.subarray(ip, ip + literalLength), op);
+      ip += literalLength;
+      op += literalLength;
+
+      if (ip >= src.length) {
+        break;
+      }
+
+      if (ip + 2 > src.length) {
+        throw new Error('LZ4 数据不完整');
+      }
+      const offset = src[ip] | (src[ip + 1] << 8);
+      ip += 2;
+      if (offset === 0 || offset > op) {
+        throw new Error('LZ4 数据损坏：匹配偏移无效');
+      }
+
+      const matchLength = readLength(token & 15) + LZ4Block.MIN_MATCH;
+      if (op + matchLength > size) {
+        throw new Error('LZ4 数据损坏：匹配越界');
+      }
+      // 偏移小于长度时源与目标重叠，只能逐字节复制
+      for (let i = 0; i < matchLength; i++) {
+        out[op] = out[op - offset];
+        op++;
+      }
+    }
+
+    if (op !== size) {
+      throw new Error('LZ4 数据损坏：长度不符');
+    }
+    return out;
+  }
+
+  /**
+   * 写入一个序列：token、字面量长度、字面量，matchLength 为 0 时没有匹配部分
+   */
+  static writeSequence(out, op, src, start, literalLength, offset, matchLength) {
+    const tokenPos = op++;
+    let token = Math.min(literalLength, 15) << 4;
+    op = LZ4Block.writeLength(out, op, literalLength);
+    out.set(src.subarray(start, start + literalLength), op);
+    op += literalLength;
+
+    if (matchLength) {
+      out[op++] = offset & 0xff;
+      out[op++] = offset >> 8;
+      const extra = matchLength - LZ4Block.MIN_MATCH;
+      token |= Math.min(extra, 15);
+      op = LZ4Block.writeLength(out, op, extra);
+    }
+
+    out[tokenPos] = token;
+    return op;
+  }
+
+  /**
+   * 长度不小于 15 时，超出部分写成若干个 255 加一个余数
+   */
+  static writeLength(out, op, length) {
+    if (length < 15) {
+      return op;
+    }
+    let rest = length - 15;
+    while (rest >= 255) {
+      out[op++] = 255;
+      rest -= 255;
+    }
+    out[op++] = rest;
+    return op;
+  }
+
+  static read32(bytes, pos) {
+    return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+  }
+}
+
+LZ4Block.MIN_MATCH = 4;
+LZ4Block.MF_LIMIT = 12;
+LZ4Block.LAST_LITERALS = 5;
+LZ4Block.MAX_OFFSET = 65535;
+
+// 哈希表 4096 项，查找 4 字节重复序列
+LZ4Block.HASH_LOG = 12;
+
+// 导出模块（Worker 中挂到全局，Node 中走 CommonJS）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LZ4Block;
+} else {
+  self.LZ4Block = LZ4Block;
+}
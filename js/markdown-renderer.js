@@ -0,0 +1,242 @@
+/**
+ * Markdown 渲染
+ * 供 /open-file/ 页面显示本地 Markdown 文件，输出与 Hexo 生成的文章相同的标签结构，
+ * 以便直接套用文章样式。支持标题、段落、强调、删除线、行内代码、代码块、链接、图片、
+ * 有序/无序/任务列表、引用、分隔线和表格；原文中的 HTML 一律转义。
+ */
+
+class MarkdownRenderer {
+  /**
+   * @param {string} markdown
+   * @returns {{html: string, title: string, headings: Array<{level: number, text: string, id: string}>}}
+   */
+  static render(markdown) {
+    const renderer = new MarkdownRenderer();
+    const { body, meta } = MarkdownRenderer.splitFrontMatter(String(markdown || '').replace(/\r\n?/g, '\n'));
+    const html = renderer.blocks(body.split('\n'));
+    return {
+      html,
+      title: meta.title || (renderer.headings.find(heading => heading.level === 1) || {}).text || '',
+      headings: renderer.headings
+    };
+  }
+
+  /**
+   * Hexo 文章开头的 front-matter，只读取 title
+   */
+  static splitFrontMatter(text) {
+    const match = /^---\n([\s\S]*?)\n---\n?/.exec(text);
+    if (!match) {
+      return { body: text, meta: {} };
+    }
+    const title = /^title:\s*(.+)$/m.exec(match[1]);
+    return {
+      body: text.slice(match[0].length),
+      meta: { title: title ? title[1].trim().replace(/^(['"])(.*)\1$/, '$2') : '' }
+    };
+  }
+
+  constructor() {
+    this.headings = [];
+    this.ids = new Map();
+  }
+
+  blocks(lines) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // 代码块
+      const fence = /^(\s*)(`{3,}|~{3,})\s*([\w+#.-]*)/.exec(line);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && lines[i].trim().indexOf(fence[2]) !== 0) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const lang = fence[3] ? ` class="language-${fence[3]}"` : '';
+        out.push(`<pre><code${lang}>${MarkdownRenderer.escape(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+      if (heading) {
+        out.push(this.heading(heading[1].length, heading[2]));
+        i++;
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        out.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s*>\s?/, ''));
+          i++;
+        }
+        out.push(`<blockquote>${this.blocks(quote)}</blockquote>`);
+        continue;
+      }
+
+      if (MarkdownRenderer.LIST_ITEM.test(line)) {
+        const items = [];
+        // 有序与无序列表相邻时分成两个列表
+        const ordered = /^\s*\d/.test(line);
+        const sameList = next => /^\s{2,}\S/.test(next) ||
+          (MarkdownRenderer.LIST_ITEM.test(next) && /^\s*\d/.test(next) === ordered);
+        while (i < lines.length && sameList(lines[i])) {
+          items.push(lines[i]);
+          i++;
+        }
+        out.push(this.list(items));
+        continue;
+      }
+
+      if (line.indexOf('|') !== -1 && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+        const rows = [line];
+        i += 2;
+        while (i < lines.length && lines[i].indexOf('|') !== -1 && lines[i].trim()) {
+          rows.push(lines[i]);
+          i++;
+        }
+        out.push(this.table(rows));
+        continue;
+      }
+
+      // 段落：连续的非空行，行内换行保留为 <br>
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !MarkdownRenderer.BLOCK_START.test(lines[i])) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      if (!paragraph.length) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      out.push(`<p>${paragraph.map(text => this.inline(text)).join('<br>')}</p>`);
+    }
+
+    return out.join('\n');
+  }
+
+  /**
+   * 与 Hexo 相同的标题结构，tocbot 和站内锚点可以直接使用
+   */
+  heading(level, text) {
+    const plain = text.replace(/[*_`~[\]]|\(.*?\)/g, '').trim();
+    let id = plain.replace(/\s+/g, '-');
+    const count = this.ids.get(id) || 0;
+    this.ids.set(id, count + 1);
+    if (count) {
+      id += `-${count}`;
+    }
+    this.headings.push({ level, text: plain, id });
+
+    const anchor = MarkdownRenderer.escape(id);
+    return `<h${level} id="${anchor}"><a href="#${anchor}" class="headerlink" title="${MarkdownRenderer.escape(plain)}"></a>` +
+      `${this.inline(text)}</h${level}>`;
+  }
+
+  list(lines) {
+    const ordered = /^\s*\d+[.)]\s/.test(lines[0]);
+    const items = [];
+    lines.forEach(line => {
+      if (MarkdownRenderer.LIST_ITEM.test(line) && !/^\s{2,}/.test(line)) {
+        items.push([line.replace(MarkdownRenderer.LIST_ITEM, '')]);
+      } else {
+        items[items.length - 1].push(line.replace(/^\s{2,4}/, ''));
+      }
+    });
+
+    const html = items.map(([first, ...rest]) => {
+      const task = /^\[([ xX])\]\s+/.exec(first);
+      const text = task ? first.slice(task[0].length) : first;
+      const checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+      const nested = rest.length ? this.blocks(rest) : '';
+      return `<li>${checkbox}${this.inline(text)}${nested}</li>`;
+    }).join('\n');
+
+    const tag = ordered ? 'ol' : 'ul';
+    return `<${tag}>\n${html}\n</${tag}>`;
+  }
+
+  table(rows) {
+    const cells = row => row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+    const head = cells(rows[0]).map(cell => `<th>${this.inline(cell)}</th>`).join('');
+    const body = rows.slice(1).map(row =>
+      `<tr>${cells(row).map(cell => `<td>${this.inline(cell)}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+  }
+
+  /**
+   * 行内语法：先把行内代码、图片和链接换成占位符，强调等标记不会改写其中的代码和地址，最后再换回
+   * 地址允许一层成对的括号，如 https://en.wikipedia.org/wiki/Foo_(bar)
+   */
+  inline(text) {
+    const tokens = [];
+    const hold = html => {
+      tokens.push(html);
+      return `\u0000${tokens.length - 1}\u0000`;
+    };
+
+    let html = text.replace(/`([^`]+)`/g, (match, code) => hold(`<code>${MarkdownRenderer.escape(code)}</code>`));
+
+    html = MarkdownRenderer.escape(html)
+      .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, alt, src, title) =>
+        hold(`<img src="${MarkdownRenderer.safeUrl(src)}" alt="${alt}"${title ? ` title="${title}"` : ''}>`))
+      .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, href, title) =>
+        hold(`<a href="${MarkdownRenderer.safeUrl(href)}"${title ? ` title="${title}"` : ''}>${MarkdownRenderer.emphasis(label)}</a>`))
+      .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, href) => hold(`<a href="${href}">${href}</a>`));
+
+    // 链接文字中可能还有代码等占位符
+    const restore = value => value.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(tokens[index]));
+    return restore(MarkdownRenderer.emphasis(html));
+  }
+
+  static emphasis(html) {
+    return html
+      .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<strong>$2</strong>')
+      .replace(/(\*|_)(?=\S)(.+?)\1/g, '<em>$2</em>')
+      .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+  }
+
+  /**
+   * 只允许 http(s)、mailto、站内和相对地址，阻止 javascript: 等
+   */
+  static safeUrl(url) {
+    return /^(?:https?:|mailto:|\/|#|\.{0,2}\/|[\w-]+(?:[./]|$))/i.test(url) && !/^\s*javascript:/i.test(url) ? url : '#';
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+MarkdownRenderer.LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+// 段落在这些行之前结束
+MarkdownRenderer.BLOCK_START = /^(?:\s*(?:`{3,}|~{3,})|#{1,6}\s|\s*>|\s*(?:[-*+]|\d+[.)])\s+|\s{0,3}([-*_])(\s*\1){2,}\s*$)/;
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownRenderer;
+} else {
+  window.MarkdownRenderer = MarkdownRenderer;
+}
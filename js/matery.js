@@ -116,6 +116,130 @@ $(function () {
     };
     articleInit();
 
+    /**
+     * 从搜索结果进入文章时，高亮链接 ?highlight= 中的关键词，滚动到第一处命中，
+     * 并显示上一个/下一个/清除高亮的浮动工具条.
+     * 在 articleInit 之后执行，跳过图片字幕，避免改动 lightGallery 读取的字幕内容.
+     */
+    let searchHighlight = function () {
+        let content = document.getElementById('articleContent');
+        let query = new URLSearchParams(window.location.search).get('highlight');
+        if (!content || !query || typeof SearchEngine === 'undefined') {
+            return;
+        }
+
+        // 与站内搜索一致：忽略大小写，繁简字形统一后再比较，逐字转换不改变字符位置
+        let fold = text => SearchEngine.normalizeScript(text).toLowerCase();
+        let articleText = fold(content.textContent);
+        let parsed = SearchEngine.parseQuery(query);
+        let terms = [];
+        parsed.terms.concat(parsed.phrases).map(fold).forEach(term => {
+            if (articleText.indexOf(term) !== -1) {
+                terms.push(term);
+                return;
+            }
+            // 连写的中文检索词在文中不一定相邻，退回到其中出现过的二元组
+            let chars = Array.from(term);
+            if (chars.length > 2 && chars.every(char => SearchEngine.isCjk(char))) {
+                for (let i = 0; i + 1 < chars.length; i++) {
+                    let pair = chars[i] + chars[i + 1];
+                    if (articleText.indexOf(pair) !== -1) {
+                        terms.push(pair);
+                    }
+                }
+            }
+        });
+        terms = terms.filter((term, i) => term && terms.indexOf(term) === i)
+            .sort((a, b) => b.length - a.length);
+        if (terms.length === 0) {
+            return;
+        }
+
+        let pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+        let walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => $(node.parentNode).closest('.caption, script, style, textarea').length
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+        let textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        let marks = [];
+        textNodes.forEach(node => {
+            let text = node.data;
+            let folded = fold(text);
+            let fragment = document.createDocumentFragment();
+            let cursor = 0;
+            let match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(folded)) !== null) {
+                fragment.appendChild(document.createTextNode(text.slice(cursor, match.index)));
+                let mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = text.substr(match.index, match[0].length);
+                fragment.appendChild(mark);
+                marks.push(mark);
+                cursor = match.index + match[0].length;
+            }
+            if (cursor > 0) {
+                fragment.appendChild(document.createTextNode(text.slice(cursor)));
+                node.parentNode.replaceChild(fragment, node);
+            }
+        });
+        if (marks.length === 0) {
+            return;
+        }
+
+        let $bar = $('<div class="search-highlight-bar z-depth-2">' +
+            '<span class="search-highlight-count"></span>' +
+            '<a class="search-highlight-prev" title="上一个"><i class="fas fa-chevron-up"></i></a>' +
+            '<a class="search-highlight-next" title="下一个"><i class="fas fa-chevron-down"></i></a>' +
+            '<a class="search-highlight-clear" title="清除高亮"><i class="fas fa-times"></i></a>' +
+            '</div>').appendTo('body');
+        let current = -1;
+
+        let goTo = function (index) {
+            if (current >= 0) {
+                marks[current].classList.remove('current');
+            }
+            current = (index + marks.length) % marks.length;
+            marks[current].classList.add('current');
+            $bar.find('.search-highlight-count').text((current + 1) + ' / ' + marks.length);
+            $('body,html').stop().animate({scrollTop: $(marks[current]).offset().top - 120}, 400);
+        };
+
+        let clear = function () {
+            marks.forEach(mark => {
+                let parent = mark.parentNode;
+                if (parent) {
+                    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                    parent.normalize();
+                }
+            });
+            marks = [];
+            $bar.remove();
+            // 去掉地址中的 highlight 参数，刷新后不再高亮
+            let url = new URL(window.location.href);
+            url.searchParams.delete('highlight');
+            history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+        };
+
+        $bar.on('click', '.search-highlight-prev', () => goTo(current - 1));
+        $bar.on('click', '.search-highlight-next', () => goTo(current + 1));
+        $bar.on('click', '.search-highlight-clear', clear);
+
+        // 结果链接到某个小节时，从该小节之后的第一处命中开始
+        let first = 0;
+        let section = window.location.hash ? document.getElementById(decodeURIComponent(window.location.hash.slice(1))) : null;
+        if (section) {
+            let after = marks.findIndex(mark => section.compareDocumentPosition(mark) & Node.DOCUMENT_POSITION_FOLLOWING);
+            first = after === -1 ? 0 : after;
+        }
+        goTo(first);
+    };
+    searchHighlight();
+
     $('.modal').modal();
 
     /*回到顶部*/
@@ -60,10 +60,16 @@ class PerformanceOptimizer {
     const meta = document.querySelector('meta[name="fox-sw-enabled"]');
     if (meta && meta.content !== 'true') return;
 
+    // 页面已加载 sw-manager.js 时由其统一注册
+    if (window.swManager) return;
+
     window.addEventListener('load', () => {
       navigator.serviceWorker.register('/sw.js')
         .then(registration => {
           console.log('SW registered: ', registration);
+          // 新版本停在 waiting，刷新提示使用 sw-manager.js 中的同一实现
+          return this.loadServiceWorkerManager()
+            .then(() => ServiceWorkerManager.watchForUpdate(registration));
         })
         .catch(registrationError => {
           console.log('SW registration failed: ', registrationError);
@@ -71,6 +77,19 @@ class PerformanceOptimizer {
     });
   }
 
+  // 按需加载 sw-manager.js；它创建的 swManager 监听同一个注册，同一个 Worker 只提示一次
+  loadServiceWorkerManager() {
+    if (window.ServiceWorkerManager) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = '/js/sw-manager.js';
+      script.onload = resolve;
+      script.onerror = () => reject(new Error('sw-manager.js 加载失败'));
+      document.head.appendChild(script);
+    });
+  }
+
   // 关键资源预加载
   setupPreloading() {
     const criticalResources = [
@@ -123,27 +142,18 @@ class SearchOptimizer {
 
   async loadSearchData() {
     try {
-      const response = await fetch('/search.xml');
-      const text = await response.text();
-      this.parseSearchData(text);
+      // 与 search.js 共用 SearchIndexStore 中缓存的索引，search.xml 未变化时不再下载解析
+      const { index } = await SearchIndexStore.shared().load(({ xml, posts }) => {
+        const entries = SearchEngine.parseSearchXml(xml);
+        return new SearchEngine().build(SearchEngine.joinMetadata(entries, posts)).toJSON();
+      });
+      this.searchIndex = SearchEngine.fromJSON(index);
+      this.searchData = this.searchIndex ? this.searchIndex.docs : null;
     } catch (error) {
       console.error('Failed to load search data:', error);
     }
   }
 
-  parseSearchData(xmlText) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-    const entries = xmlDoc.querySelectorAll('entry');
-    
-    this.searchData = Array.from(entries).map(entry => ({
-      title: entry.querySelector('title')?.textContent || '',
-      content: entry.querySelector('content')?.textContent || '',
-      url: entry.querySelector('url')?.textContent || '',
-      date: entry.querySelector('date')?.textContent || ''
-    }));
-  }
-
   setupSearchUI() {
     const searchInput = document.querySelector('#search-input');
     const searchResults = document.querySelector('#search-results');
@@ -160,33 +170,41 @@ class SearchOptimizer {
   }
 
   performSearch(query, resultsContainer) {
-    if (!query.trim() || !this.searchData) {
+    if (!query.trim() || !this.searchIndex) {
       resultsContainer.innerHTML = '';
       return;
     }
 
-    const results = this.searchData.filter(item => 
-      item.title.toLowerCase().includes(query.toLowerCase()) ||
-      item.content.toLowerCase().includes(query.toLowerCase())
-    ).slice(0, 10);
+    const results = this.searchIndex.search(query.slice(0, 50)).slice(0, 10);
 
-    this.renderSearchResults(results, resultsContainer, query);
+    this.renderSearchResults(results, resultsContainer);
   }
 
-  renderSearchResults(results, container, query) {
+  renderSearchResults(results, container) {
     if (results.length === 0) {
       container.innerHTML = '<p class="no-results">未找到相关内容</p>';
       return;
     }
 
-    const safeQuery = String(query || '').slice(0, 50);
+    const mark = text => `<mark>${text}</mark>`;
+    // 按读者在 tw_cn.js 中选择的字形显示，逐字转换不影响命中位置
+    const toReaderScript = SearchEngine.toReaderScript;
     const html = results.map(result => {
+      const { doc } = result;
       const url = this.sanitizeUrl(result.url);
+      const titleHits = result.hits.filter(hit => hit.field === 'title');
+      const bodyHits = result.hits.filter(hit => hit.field !== 'title');
+      const start = Math.max(result.offset - 30, 0);
+      const end = Math.min(start + 150, doc.text.length);
+      const section = result.section
+        ? `<span class="search-result-section">${this.escapeHtml(toReaderScript(result.section.title))}</span>`
+        : '';
       return `
       <div class="search-result-item">
-        <h3><a href="${url}">${this.highlightText(result.title, safeQuery)}</a></h3>
-        <p>${this.highlightText(this.truncateText(result.content, 150), safeQuery)}</p>
-        <span class="search-result-date">${this.escapeHtml(result.date)}</span>
+        <h3><a href="${url}">${SearchEngine.highlight(toReaderScript(doc.title), titleHits, 0, doc.title.length, mark)}</a>${result.fuzzy ? '<span class="search-result-fuzzy">模糊匹配</span>' : ''}</h3>
+        ${section}
+        <p>${SearchEngine.highlight(toReaderScript(doc.text), bodyHits, start, end, mark)}${end < doc.text.length ? '...' : ''}</p>
+        <span class="search-result-date">${this.escapeHtml(doc.date)}</span>
       </div>
     `;
     }).join('');
@@ -211,22 +229,6 @@ class SearchOptimizer {
       .replace(/'/g, '&#39;');
   }
 
-  escapeRegExp(str) {
-    return String(str || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
-  highlightText(text, query) {
-    const safeText = this.escapeHtml(text);
-    const safeQuery = this.escapeHtml(query);
-    if (!safeQuery.trim()) return safeText;
-
-    const regex = new RegExp(`(${this.escapeRegExp(safeQuery)})`, 'gi');
-    return safeText.replace(regex, '<mark>$1</mark>');
-  }
-
-  truncateText(text, length) {
-    return text.length > length ? text.substring(0, length) + '...' : text;
-  }
 }
 
 // 主题切换优化
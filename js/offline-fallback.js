@@ -0,0 +1,143 @@
+/**
+ * 离线页面（/offline.html）
+ * 网络和缓存都不可用时由 Service Worker 返回，地址栏仍是原地址：
+ * 列出所有缓存中的文章（标题和日期取自缓存的 content.json），只在这些文章中搜索，
+ * 恢复联网时自动重新加载原地址
+ */
+
+class OfflineFallback {
+  constructor(root) {
+    this.root = root;
+    this.input = root.querySelector('.offline-search');
+    this.summary = root.querySelector('.offline-cached-summary');
+    this.list = root.querySelector('.offline-cached-list');
+    this.posts = [];
+
+    if (location.pathname !== '/offline.html') {
+      root.querySelector('.offline-url').textContent = decodeURI(location.href);
+    }
+
+    root.querySelector('.offline-retry').addEventListener('click', () => location.reload());
+    window.addEventListener('online', () => location.reload());
+    this.input.addEventListener('input', () => this.render());
+
+    this.load()
+      .catch(error => {
+        console.warn('读取缓存的文章失败:', error);
+      })
+      .then(() => this.render());
+  }
+
+  /**
+   * 找出所有缓存中的文章页面，读取正文供搜索
+   */
+  async load() {
+    if (!window.caches) return;
+
+    const metaResponse = await caches.match('/content.json', { ignoreSearch: true });
+    const metadata = new Map();
+    (metaResponse ? await metaResponse.json() : []).forEach(post => {
+      metadata.set(OfflineFallback.normalizePath('/' + post.path), post);
+    });
+
+    const pages = new Map();
+    for (const cacheName of await caches.keys()) {
+      const cache = await caches.open(cacheName);
+      for (const request of await cache.keys()) {
+        const url = new URL(request.url);
+        const path = OfflineFallback.normalizePath(url.pathname);
+        if (url.origin === location.origin && OfflineFallback.ARTICLE_PATTERN.test(path) && !pages.has(path)) {
+          pages.set(path, { cache, request });
+        }
+      }
+    }
+
+    const parser = new DOMParser();
+    this.posts = await Promise.all(Array.from(pages, async ([path, { cache, request }]) => {
+      const response = await cache.match(request);
+      const doc = parser.parseFromString(response ? await response.text() : '', 'text/html');
+      const content = doc.getElementById('articleContent');
+      const meta = metadata.get(path) || {};
+      const names = list => (list || []).map(item => item.name);
+
+      return {
+        url: path,
+        title: meta.title || (doc.querySelector('.post-title') || doc.querySelector('title') || {}).textContent || path,
+        date: meta.date ? new Date(meta.date) : null,
+        keywords: names(meta.tags).concat(names(meta.categories)),
+        text: content ? content.textContent.replace(/\s+/g, ' ').trim() : ''
+      };
+    }));
+    this.posts.sort((a, b) => (b.date || 0) - (a.date || 0));
+  }
+
+  render() {
+    const terms = this.input.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const posts = this.posts.filter(post => {
+      const haystack = [post.title, post.keywords.join(' '), post.text].join(' ').toLowerCase();
+      return terms.every(term => haystack.indexOf(term) !== -1);
+    });
+
+    if (!this.posts.length) {
+      this.summary.textContent = '没有已缓存的文章';
+    } else if (terms.length) {
+      this.summary.textContent = `在 ${this.posts.length} 篇已缓存的文章中找到 ${posts.length} 篇`;
+    } else {
+      this.summary.textContent = `以下 ${this.posts.length} 篇文章已缓存，离线也可以阅读`;
+    }
+
+    this.list.innerHTML = '';
+    posts.forEach(post => this.list.appendChild(this.renderItem(post, terms)));
+  }
+
+  renderItem(post, terms) {
+    const item = document.createElement('li');
+
+    const link = document.createElement('a');
+    link.href = post.url;
+    link.textContent = post.title;
+    item.appendChild(link);
+
+    if (post.date) {
+      const time = document.createElement('time');
+      time.dateTime = post.date.toISOString();
+      time.textContent = post.date.toLocaleDateString('zh-CN');
+      item.appendChild(time);
+    }
+
+    // 搜索时显示正文中第一处命中附近的内容
+    const position = terms.length ? post.text.toLowerCase().indexOf(terms[0]) : -1;
+    if (position !== -1) {
+      const snippet = document.createElement('p');
+      const start = Math.max(0, position - 30);
+      snippet.textContent = (start > 0 ? '...' : '') + post.text.substr(start, 100) + '...';
+      item.appendChild(snippet);
+    }
+
+    return item;
+  }
+
+  static normalizePath(pathname) {
+    let path = pathname.replace(/index\.html$/, '');
+    try {
+      path = decodeURI(path);
+    } catch (error) {
+      // 保留原样
+    }
+    return path;
+  }
+}
+
+// 文章页面：/年/月/日/标题/
+OfflineFallback.ARTICLE_PATTERN = /^\/\d{4}\/\d{2}\/\d{2}\/[^/]+\/$/;
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineFallback;
+} else {
+  window.OfflineFallback = OfflineFallback;
+  if (localStorage.getItem('isDark') === '1') {
+    document.body.classList.add('DarkMode');
+  }
+  window.offlineFallback = new OfflineFallback(document.querySelector('.offline-fallback'));
+}
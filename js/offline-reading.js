@@ -0,0 +1,167 @@
+/**
+ * 离线阅读列表
+ * 列出通过文章页“离线保存”按钮保存的文章，显示大小和保存时间，可以逐篇移除；
+ * 下方的“整站离线”开关控制 Service Worker 缓存全部文章，并显示同步进度
+ */
+
+class OfflineReading {
+  constructor(container) {
+    this.list = container.querySelector('#offlineList');
+    this.summary = container.querySelector('.offline-summary');
+
+    this.list.addEventListener('click', event => {
+      const button = event.target.closest('.offline-remove');
+      if (button) {
+        this.remove(button.getAttribute('data-url'));
+      }
+    });
+
+    this.bindLibrary(container);
+    this.render();
+  }
+
+  bindLibrary(container) {
+    this.library = {
+      toggle: container.querySelector('.offline-library-toggle'),
+      progress: container.querySelector('.offline-library-progress'),
+      bar: container.querySelector('.offline-library-progress .determinate'),
+      status: container.querySelector('.offline-library-status'),
+      sync: container.querySelector('.offline-library-sync')
+    };
+    if (!this.library.toggle) return;
+
+    if (!window.swManager || !window.swManager.supported) {
+      container.querySelector('.offline-library').style.display = 'none';
+      return;
+    }
+
+    const { toggle, sync } = this.library;
+    const run = (action, message) => action()
+      .then(status => this.renderLibrary(status))
+      .catch(error => {
+        this.renderLibrary(this.libraryStatus);
+        this.toast(`${message}：${error.message}`);
+      });
+
+    toggle.addEventListener('change', () => {
+      run(() => window.swManager.setLibraryEnabled(toggle.checked), toggle.checked ? '开启失败' : '关闭失败');
+    });
+    sync.addEventListener('click', () => run(() => window.swManager.syncLibrary(true), '同步失败'));
+
+    document.addEventListener('library-progress', event => {
+      this.renderLibrary(Object.assign({}, this.libraryStatus, event.detail));
+    });
+
+    run(() => window.swManager.libraryStatus(), '无法读取整站离线状态');
+  }
+
+  renderLibrary(status) {
+    if (!status) return;
+    this.libraryStatus = status;
+
+    const { toggle, progress, bar, status: text, sync } = this.library;
+    const size = ServiceWorkerManager.formatSize(status.bytes);
+    const count = `${status.done}/${status.total} 篇`;
+    toggle.checked = status.enabled;
+    sync.disabled = !status.enabled || status.state === 'running';
+    progress.style.display = status.enabled && status.total ? '' : 'none';
+    bar.style.width = `${status.total ? Math.round(status.done / status.total * 100) : 0}%`;
+
+    if (!status.enabled) {
+      text.textContent = '未开启';
+    } else if (status.state === 'running') {
+      text.textContent = `正在同步 ${count}，已缓存 ${size}`;
+    } else if (status.state === 'paused') {
+      text.textContent = `已暂停（${status.reason}），已缓存 ${count}，${size}`;
+    } else if (status.state === 'error') {
+      text.textContent = `同步出错：${status.reason}`;
+    } else if (status.syncedAt) {
+      text.textContent = `已缓存 ${count}，共 ${size}，上次同步 ${OfflineReading.formatDate(status.syncedAt)}`;
+    } else {
+      text.textContent = '等待同步';
+    }
+  }
+
+  async render() {
+    if (!window.swManager || !window.swManager.supported) {
+      this.summary.textContent = '当前浏览器不支持离线保存';
+      return;
+    }
+
+    let posts;
+    try {
+      posts = await window.swManager.listOffline();
+    } catch (error) {
+      this.summary.textContent = `无法读取离线保存的文章：${error.message}`;
+      return;
+    }
+
+    const total = posts.reduce((sum, post) => sum + post.size, 0);
+    this.summary.textContent = posts.length
+      ? `共 ${posts.length} 篇，占用 ${ServiceWorkerManager.formatSize(total)}`
+      : '还没有离线保存的文章，在文章页点击“离线保存”即可在没有网络时阅读';
+
+    this.list.innerHTML = '';
+    posts.forEach(post => this.list.appendChild(this.renderItem(post)));
+  }
+
+  renderItem(post) {
+    const item = document.createElement('li');
+    item.className = 'offline-item';
+
+    const link = document.createElement('a');
+    link.className = 'offline-title';
+    link.href = post.url;
+    link.textContent = post.title;
+
+    const meta = document.createElement('span');
+    meta.className = 'offline-meta';
+    meta.textContent = `${ServiceWorkerManager.formatSize(post.size)} · 保存于 ${OfflineReading.formatDate(post.savedAt)}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'offline-remove btn-flat';
+    remove.title = '移除';
+    remove.setAttribute('data-url', post.url);
+    remove.innerHTML = '<i class="fas fa-trash-alt"></i>';
+
+    item.appendChild(link);
+    item.appendChild(meta);
+    item.appendChild(remove);
+    return item;
+  }
+
+  async remove(url) {
+    try {
+      await window.swManager.removeOffline(url);
+    } catch (error) {
+      this.toast(`移除失败：${error.message}`);
+    }
+    this.render();
+  }
+
+  toast(html) {
+    if (typeof M !== 'undefined' && M.toast) {
+      M.toast({ html });
+    }
+  }
+
+  static formatDate(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+}
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineReading;
+} else {
+  window.OfflineReading = OfflineReading;
+  document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('offlineReading');
+    if (container) {
+      window.offlineReading = new OfflineReading(container);
+    }
+  });
+}
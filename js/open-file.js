@@ -0,0 +1,107 @@
+/**
+ * 打开本地文件（/open-file/）
+ * 安装为应用后，系统按 manifest.json 的 file_handlers 把 .md/.txt 文件交给本页（launchQueue）；
+ * 也可以把文件拖进页面或手动选择。Markdown 经 MarkdownRenderer 渲染后放进 #articleContent，
+ * 与文章页使用同一套样式。文件只在本地读取，不会上传。
+ */
+
+class OpenFile {
+  constructor(container) {
+    this.container = container;
+    this.content = container.querySelector('#articleContent');
+    this.name = container.querySelector('.open-file-name');
+    this.drop = container.querySelector('.open-file-drop');
+
+    container.querySelector('.open-file-input').addEventListener('change', event => {
+      if (event.target.files.length) {
+        this.open(event.target.files[0]);
+      }
+    });
+
+    document.addEventListener('dragover', event => {
+      event.preventDefault();
+      this.drop.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', event => {
+      if (!event.relatedTarget) {
+        this.drop.classList.remove('dragging');
+      }
+    });
+    document.addEventListener('drop', event => {
+      event.preventDefault();
+      this.drop.classList.remove('dragging');
+      if (event.dataTransfer && event.dataTransfer.files.length) {
+        this.open(event.dataTransfer.files[0]);
+      }
+    });
+
+    if ('launchQueue' in window) {
+      window.launchQueue.setConsumer(async params => {
+        if (params.files && params.files.length) {
+          this.open(await params.files[0].getFile());
+        }
+      });
+    }
+  }
+
+  async open(file) {
+    if (file.size > OpenFile.MAX_SIZE) {
+      this.toast(`文件过大（超过 ${OpenFile.MAX_SIZE / 1024 / 1024} MB）`);
+      return;
+    }
+    if (!OpenFile.ACCEPT.test(file.name) && !/^text\//.test(file.type)) {
+      this.toast('只能打开 Markdown 或文本文件');
+      return;
+    }
+
+    const text = await file.text();
+    const result = /\.(md|markdown)$/i.test(file.name) || file.type === 'text/markdown'
+      ? MarkdownRenderer.render(text)
+      : OpenFile.renderText(text);
+    const title = result.title || file.name;
+
+    this.content.innerHTML = result.html;
+    this.name.textContent = title;
+    document.title = `${title} | usut`;
+    this.container.classList.add('has-file');
+    this.content.querySelectorAll('a[href^="http"]').forEach(link => {
+      link.target = '_blank';
+      link.rel = 'noopener';
+    });
+  }
+
+  /**
+   * 纯文本按空行分段
+   */
+  static renderText(text) {
+    const html = text.replace(/\r\n?/g, '\n').split(/\n{2,}/)
+      .filter(block => block.trim())
+      .map(block => `<p>${MarkdownRenderer.escape(block.trim()).replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+    return { html, title: '' };
+  }
+
+  toast(html) {
+    if (typeof M !== 'undefined' && M.toast) {
+      M.toast({ html });
+    }
+  }
+}
+
+OpenFile.ACCEPT = /\.(md|markdown|txt)$/i;
+
+// 可打开的最大文件
+OpenFile.MAX_SIZE = 5 * 1024 * 1024;
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpenFile;
+} else {
+  window.OpenFile = OpenFile;
+  document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('openFile');
+    if (container) {
+      window.openFile = new OpenFile(container);
+    }
+  });
+}
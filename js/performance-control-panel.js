@@ -9,6 +9,8 @@ class PerformanceControlPanel {
     this.metrics = new Map();
     this.isVisible = false;
     this.updateInterval = null;
+    // 面板发起的 Worker 任务，关闭面板时取消
+    this.taskController = null;
     
     this.init();
   }
@@ -150,6 +152,20 @@ class PerformanceControlPanel {
           </div>
         </div>
         
+        <!-- 站内搜索 -->
+        <div class="section search">
+          <h4>🔍 站内搜索</h4>
+          <div id="search-zero-results"></div>
+          <div class="optimization-buttons">
+            <button onclick="performancePanel.exportZeroResults()" class="btn-secondary">
+              导出无结果搜索
+            </button>
+            <button onclick="performancePanel.clearZeroResults()" class="btn-secondary">
+              清空记录
+            </button>
+          </div>
+        </div>
+        
         <!-- 实时日志 -->
         <div class="section logs">
           <h4>📝 实时日志</h4>
@@ -381,6 +397,7 @@ class PerformanceControlPanel {
       this.updateOptimizerStatus();
       this.updateNetworkInfo();
       this.updateAIStatus();
+      this.updateZeroResults();
     }, 2000);
   }
   
@@ -445,8 +462,9 @@ class PerformanceControlPanel {
       try {
         if (name === 'worker' && optimizer.workerManager) {
           const stats = optimizer.workerManager.getStats();
-          status = stats.totalWorkers > 0 ? 'active' : 'inactive';
-          statusText = `${stats.totalWorkers} Workers`;
+          // Worker 按需创建，空闲时池为空也属正常
+          status = optimizer.workerManager.initialized ? 'active' : 'inactive';
+          statusText = `${stats.totalWorkers}/${stats.maxWorkers} Workers`;
         } else if (name === 'network') {
           const optimizationStatus = optimizer.getOptimizationStatus();
           status = optimizationStatus.activeStrategies.length > 0 ? 'active' : 'inactive';
@@ -568,6 +586,8 @@ class PerformanceControlPanel {
     
     if (this.isVisible) {
       this.updateMetrics();
+    } else {
+      this.cancelTasks();
     }
   }
   
@@ -586,6 +606,17 @@ class PerformanceControlPanel {
   hide() {
     this.isVisible = false;
     this.panel.classList.remove('visible');
+    this.cancelTasks();
+  }
+  
+  /**
+   * 取消面板发起、尚未完成的 Worker 任务
+   */
+  cancelTasks() {
+    if (this.taskController) {
+      this.taskController.abort();
+      this.taskController = null;
+    }
   }
   
   /**
@@ -638,19 +669,42 @@ class PerformanceControlPanel {
       return;
     }
     
+    this.cancelTasks();
+    const controller = new AbortController();
+    this.taskController = controller;
+    
     try {
       this.addLog('开始优化图片...', 'info');
       
-      const images = Array.from(document.querySelectorAll('img')).slice(0, 5); // 限制数量
-      if (images.length === 0) {
+      // 只处理同源图片，跨域图片无法读取内容
+      const urls = Array.from(document.querySelectorAll('img'))
+        .map(img => img.currentSrc || img.src)
+        .filter(src => src && new URL(src, location.href).origin === location.origin)
+        .slice(0, 5); // 限制数量
+      if (urls.length === 0) {
         this.addLog('未找到可优化的图片', 'warning');
         return;
       }
       
-      // 这里应该调用实际的图片优化功能
-      this.addLog(`优化了 ${images.length} 张图片`, 'success');
+      const images = await Promise.all(urls.map(url =>
+        fetch(url, { signal: controller.signal }).then(response => response.blob())));
+      const result = await this.optimizers.get('worker').optimizeImages(images, {
+        signal: controller.signal,
+        onProgress: ({ done, total }) => this.addLog(`图片优化进度 ${done}/${total}`, 'info')
+      });
+      
+      const { savings } = result.totalSavings;
+      this.addLog(`优化了 ${result.processedImages.length} 张图片，节省 ${Math.round(savings / 1024)} KB`, 'success');
     } catch (error) {
-      this.addLog(`图片优化失败: ${error.message}`, 'error');
+      if (error.name === 'AbortError') {
+        this.addLog('图片优化已取消', 'warning');
+      } else {
+        this.addLog(`图片优化失败: ${error.message}`, 'error');
+      }
+    } finally {
+      if (this.taskController === controller) {
+        this.taskController = null;
+      }
     }
   }
   
@@ -731,6 +785,65 @@ class PerformanceControlPanel {
     }
   }
   
+  /**
+   * 读取搜索框记录的无结果查询
+   */
+  getZeroResults() {
+    try {
+      const log = JSON.parse(localStorage.getItem('search-zero-results') || '[]');
+      return Array.isArray(log) ? log : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  /**
+   * 更新无结果查询统计
+   */
+  updateZeroResults() {
+    const container = document.getElementById('search-zero-results');
+    if (!container) return;
+    
+    const log = this.getZeroResults();
+    const total = log.reduce((sum, entry) => sum + entry.count, 0);
+    container.textContent = `无结果查询: ${log.length} 个（共 ${total} 次）`;
+  }
+  
+  /**
+   * 导出无结果查询，按出现次数排序，便于了解读者想找却找不到的内容
+   */
+  exportZeroResults() {
+    const log = this.getZeroResults().sort((a, b) => b.count - a.count);
+    if (log.length === 0) {
+      this.addLog('暂无无结果搜索记录', 'info');
+      return;
+    }
+    
+    const blob = new Blob([JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      site: location.origin,
+      queries: log
+    }, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `search-zero-results-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    
+    this.addLog(`导出了 ${log.length} 条无结果搜索`, 'success');
+  }
+  
+  /**
+   * 清空无结果查询记录
+   */
+  clearZeroResults() {
+    localStorage.removeItem('search-zero-results');
+    this.updateZeroResults();
+    this.addLog('无结果搜索记录已清空', 'success');
+  }
+  
   /**
    * 添加日志
    */
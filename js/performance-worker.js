@@ -1,46 +1,121 @@
 /**
  * 性能优化Web Worker
  * 处理计算密集型任务，释放主线程性能
+ * 耗时任务逐项发送 PROGRESS 进度；页面发来 CANCEL 后，任务在下一个检查点停止并回复 CANCELLED
  */
 
+// 站内搜索引擎，与页面共用同一份实现；拼音表供建索引时转换标题和标签，
+// 繁简对照表用于统一索引和查询的字形
+importScripts('/js/tw-cn-table.js', '/js/pinyin-table.js', '/js/search-engine.js');
+
+// 数据压缩的 LZ4 算法
+importScripts('/js/lz4-block.js');
+
 // 任务类型定义
 const TASK_TYPES = {
   IMAGE_PROCESSING: 'IMAGE_PROCESSING',
   TEXT_ANALYSIS: 'TEXT_ANALYSIS',
   DATA_COMPRESSION: 'DATA_COMPRESSION',
+  DATA_DECOMPRESSION: 'DATA_DECOMPRESSION',
   RECOMMENDATION_CALCULATION: 'RECOMMENDATION_CALCULATION',
   SEARCH_INDEX: 'SEARCH_INDEX',
+  SEARCH_QUERY: 'SEARCH_QUERY',
   PERFORMANCE_ANALYSIS: 'PERFORMANCE_ANALYSIS'
 };
 
+// 推荐计算每处理这么多篇文章检查一次取消
+const RECOMMENDATION_BATCH = 50;
+
+// 当前 Worker 持有的搜索索引及其版本，由 SEARCH_INDEX 构建或恢复
+let searchEngine = null;
+let searchVersion = null;
+
+// 正在执行的任务，收到 CANCEL 后标记为已取消
+const runningTasks = new Map();
+
+class TaskCancelledError extends Error {
+  constructor() {
+    super('任务已取消');
+    this.name = 'TaskCancelledError';
+  }
+}
+
+/**
+ * 传给任务函数的上下文
+ */
+function createTaskContext(taskId) {
+  const context = {
+    taskId,
+    cancelled: false,
+    
+    /**
+     * 检查点：让出事件循环以便收到 CANCEL 消息，任务已取消时抛出 TaskCancelledError
+     */
+    async checkpoint() {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (context.cancelled) {
+        throw new TaskCancelledError();
+      }
+    },
+    
+    progress(done, total) {
+      self.postMessage({
+        taskId,
+        type: 'PROGRESS',
+        progress: { done, total }
+      });
+    }
+  };
+  return context;
+}
+
 // 消息处理器
 self.addEventListener('message', async function(event) {
   const { type, data, taskId } = event.data;
   
+  if (type === 'CANCEL') {
+    const running = runningTasks.get(taskId);
+    if (running) {
+      running.cancelled = true;
+    }
+    return;
+  }
+  
+  const task = createTaskContext(taskId);
+  runningTasks.set(taskId, task);
+  
   try {
     let result;
     
     switch (type) {
       case TASK_TYPES.IMAGE_PROCESSING:
-        result = await processImages(data);
+        result = await processImages(data, task);
         break;
         
       case TASK_TYPES.TEXT_ANALYSIS:
-        result = await analyzeText(data);
+        result = await analyzeText(data, task);
         break;
         
       case TASK_TYPES.DATA_COMPRESSION:
         result = await compressData(data);
         break;
         
+      case TASK_TYPES.DATA_DECOMPRESSION:
+        result = await decompressData(data);
+        break;
+        
       case TASK_TYPES.RECOMMENDATION_CALCULATION:
-        result = await calculateRecommendations(data);
+        result = await calculateRecommendations(data, task);
         break;
         
       case TASK_TYPES.SEARCH_INDEX:
         result = await buildSearchIndex(data);
         break;
         
+      case TASK_TYPES.SEARCH_QUERY:
+        result = await searchQuery(data, task);
+        break;
+        
       case TASK_TYPES.PERFORMANCE_ANALYSIS:
         result = await analyzePerformance(data);
         break;
@@ -57,23 +132,35 @@ self.addEventListener('message', async function(event) {
     });
     
   } catch (error) {
+    if (error instanceof TaskCancelledError) {
+      self.postMessage({
+        taskId,
+        type: 'CANCELLED'
+      });
+      return;
+    }
+    
     // 发送错误结果
     self.postMessage({
       taskId,
       type: 'ERROR',
       error: error.message
     });
+  } finally {
+    runningTasks.delete(taskId);
   }
 });
 
 /**
  * 图片处理任务
  */
-async function processImages(data) {
+async function processImages(data, task) {
   const { images, options } = data;
   const processedImages = [];
   
-  for (const image of images) {
+  for (const [index, image] of images.entries()) {
+    await task.checkpoint();
+    
     try {
       // 图片压缩和优化
       const optimized = await optimizeImage(image, options);
@@ -95,6 +182,8 @@ async function processImages(data) {
     } catch (error) {
       console.warn(`图片处理失败: ${image.name}`, error);
     }
+    
+    task.progress(index + 1, images.length);
   }
   
   return {
@@ -164,11 +253,13 @@ async function generateResponsiveVersions(image, options) {
 /**
  * 文本分析任务
  */
-async function analyzeText(data) {
+async function analyzeText(data, task) {
   const { texts, options } = data;
   const analysisResults = [];
   
-  for (const text of texts) {
+  for (const [index, text] of texts.entries()) {
+    await task.checkpoint();
+    
     const analysis = {
       wordCount: countWords(text),
       readingTime: calculateReadingTime(text),
@@ -180,6 +271,7 @@ async function analyzeText(data) {
     };
     
     analysisResults.push(analysis);
+    task.progress(index + 1, texts.length);
   }
   
   return {
@@ -227,43 +319,60 @@ function extractKeywords(text) {
 
 /**
  * 数据压缩任务
+ * content 为字符串（按 UTF-8 编码）或字节数组；encoding 为 'base64' 时返回 base64 字符串，
+ * 可以直接写入 localStorage，否则返回 Uint8Array
  */
 async function compressData(data) {
-  const { content, algorithm = 'gzip' } = data;
+  const { content, algorithm = 'gzip', encoding } = data;
+  const codec = getCompressionCodec(algorithm);
   
-  let compressed;
-  let compressionRatio;
-  
-  switch (algorithm) {
-    case 'gzip':
-      compressed = await gzipCompress(content);
-      break;
-    case 'lz4':
-      compressed = await lz4Compress(content);
-      break;
-    default:
-      compressed = await defaultCompress(content);
-  }
-  
-  compressionRatio = compressed.length / content.length;
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+  const compressed = await codec.compress(bytes);
+  const compressionRatio = bytes.length ? compressed.length / bytes.length : 1;
   
   return {
-    original: content,
-    compressed,
+    compressed: encoding === 'base64' ? bytesToBase64(compressed) : compressed,
+    originalSize: bytes.length,
+    compressedSize: compressed.length,
     compressionRatio,
     savings: 1 - compressionRatio,
     algorithm
   };
 }
 
+/**
+ * 数据解压任务，与 compressData 对应
+ * compressed 为字符串时按 base64 解码；binary 为 true 时返回 Uint8Array，否则按 UTF-8 解码为字符串
+ */
+async function decompressData(data) {
+  const { compressed, algorithm = 'gzip', binary = false } = data;
+  const codec = getCompressionCodec(algorithm);
+  
+  const bytes = typeof compressed === 'string' ? base64ToBytes(compressed) : new Uint8Array(compressed);
+  const content = await codec.decompress(bytes);
+  
+  return {
+    content: binary ? content : new TextDecoder().decode(content),
+    size: content.length,
+    algorithm
+  };
+}
+
 /**
  * 推荐算法计算
  */
-async function calculateRecommendations(data) {
+async function calculateRecommendations(data, task) {
   const { articles, userPreferences, currentArticle } = data;
   const recommendations = [];
   
-  for (const article of articles) {
+  for (const [index, article] of articles.entries()) {
+    // 单篇计算很快，每批检查一次取消并报告进度
+    if (index % RECOMMENDATION_BATCH === 0) {
+      await task.checkpoint();
+      if (index) {
+        task.progress(index, articles.length);
+      }
+    }
     if (article.id === currentArticle.id) continue;
     
     // 计算相似度分数
@@ -290,6 +399,7 @@ async function calculateRecommendations(data) {
       });
     }
   }
+  task.progress(articles.length, articles.length);
   
   // 排序并返回前5个推荐
   return recommendations
@@ -315,45 +425,61 @@ function calculateSimilarity(article1, article2) {
 
 /**
  * 构建搜索索引
+ * 接受 search.xml 原文（xml）、已解析的条目（articles）或缓存中序列化的索引（index），
+ * posts 为 content.json；serialize 为 true 时返回序列化结果供主线程写入缓存
  */
 async function buildSearchIndex(data) {
-  const { articles } = data;
-  const index = {
-    documents: {},
-    terms: {},
-    metadata: {
-      totalDocuments: articles.length,
-      buildTime: Date.now()
+  const { xml, articles, posts, index, version = null, serialize = false } = data;
+  const startTime = Date.now();
+  
+  if (index) {
+    // 已持有同一版本的索引时无需重复恢复
+    if (!searchEngine || searchVersion === null || searchVersion !== version) {
+      searchEngine = SearchEngine.fromJSON(index);
+      if (!searchEngine) {
+        throw new Error('搜索索引格式不匹配');
+      }
     }
+  } else {
+    const entries = xml ? SearchEngine.parseSearchXml(xml) : articles;
+    searchEngine = new SearchEngine().build(SearchEngine.joinMetadata(entries || [], posts));
+  }
+  searchVersion = version;
+  
+  return {
+    totalDocuments: searchEngine.docs.length,
+    totalTerms: searchEngine.postings.size,
+    buildTime: Date.now() - startTime,
+    index: serialize ? searchEngine.toJSON() : null
   };
+}
+
+/**
+ * 搜索任务
+ * 结果按排名分批以 PARTIAL 消息发回，最后的 SUCCESS 只携带总数
+ */
+async function searchQuery(data, task) {
+  if (!searchEngine) {
+    throw new Error('搜索索引未构建');
+  }
   
-  for (const article of articles) {
-    const docId = article.id;
-    
-    // 提取文档词汇
-    const terms = extractTerms(article.title + ' ' + article.content);
-    
-    // 计算TF-IDF
-    const tfIdf = calculateTFIDF(terms, articles);
-    
-    // 存储文档信息
-    index.documents[docId] = {
-      title: article.title,
-      url: article.url,
-      terms: tfIdf,
-      boost: calculateDocumentBoost(article)
-    };
-    
-    // 更新词汇索引
-    for (const [term, score] of Object.entries(tfIdf)) {
-      if (!index.terms[term]) {
-        index.terms[term] = {};
-      }
-      index.terms[term][docId] = score;
+  const { query, batchSize = 10, excerpt } = data;
+  const results = searchEngine.search(query);
+  
+  for (let i = 0; i < results.length; i += batchSize) {
+    if (i) {
+      await task.checkpoint();
     }
+    self.postMessage({
+      taskId: task.taskId,
+      type: 'PARTIAL',
+      result: results.slice(i, i + batchSize).map(result => searchEngine.summarize(result, excerpt))
+    });
   }
   
-  return index;
+  return {
+    total: results.length
+  };
 }
 
 /**
@@ -431,19 +557,50 @@ function calculateTotalSavings(processedImages) {
   };
 }
 
-// 简化的压缩函数（实际应用中应使用专业库）
-async function gzipCompress(data) {
-  // 这里应该使用真实的gzip压缩算法
-  return new TextEncoder().encode(data);
+/**
+ * gzip/deflate 使用浏览器内置的 CompressionStream，lz4 使用 lz4-block.js
+ */
+function getCompressionCodec(algorithm) {
+  if (algorithm === 'lz4') {
+    return {
+      compress: bytes => LZ4Block.compress(bytes),
+      decompress: bytes => LZ4Block.decompress(bytes)
+    };
+  }
+  
+  if (algorithm !== 'gzip' && algorithm !== 'deflate') {
+    throw new Error(`不支持的压缩算法: ${algorithm}`);
+  }
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error(`当前环境不支持 ${algorithm} 压缩`);
+  }
+  return {
+    compress: bytes => pipeBytes(bytes, new CompressionStream(algorithm)),
+    decompress: bytes => pipeBytes(bytes, new DecompressionStream(algorithm))
+  };
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
 }
 
-async function lz4Compress(data) {
-  // 这里应该使用真实的LZ4压缩算法
-  return new TextEncoder().encode(data);
+// 分段转换，避免 String.fromCharCode 参数过多
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
-async function defaultCompress(data) {
-  return new TextEncoder().encode(data);
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
 }
 
 function analyzeSentiment(text) {
@@ -0,0 +1,106 @@
+/**
+ * 文章地址解析
+ * manifest.json 的 web+blog 协议处理器打开 /post?url=%s，这里把参数解析为站内文章：
+ * 依次按文章路径、slug、标题匹配 content.json 中的文章，找不到时转到站内搜索。
+ * Service Worker 直接返回重定向；没有 Service Worker 时由 /post/ 页面跳转。
+ */
+
+class PostResolver {
+  /**
+   * 去掉协议前缀和本站域名，返回路径或关键词
+   * 例如 web+blog:hello-world、web+blog://2025/05/02/hello-world/、https://315fang.github.io/2025/05/02/hello-world/
+   */
+  static normalize(value) {
+    let text = String(value || '').trim();
+    try {
+      text = decodeURIComponent(text);
+    } catch (error) {
+      // 保留原样
+    }
+    text = text.replace(/^web\+blog:(?:\/\/)?/i, '');
+
+    if (/^https?:\/\//i.test(text)) {
+      let url;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        // 无法解析的地址按关键词处理
+        return text;
+      }
+      const local = typeof location !== 'undefined' && url.host === location.host;
+      if (!local && PostResolver.HOSTS.indexOf(url.host) === -1) {
+        return text;
+      }
+      try {
+        text = decodeURI(url.pathname);
+      } catch (error) {
+        text = url.pathname;
+      }
+    }
+    return text.replace(/[?#].*$/, '').replace(/index\.html$/, '').trim();
+  }
+
+  /**
+   * @param {string} value
+   * @param {Array<{title: string, path: string, slug: string}>} posts content.json
+   * @returns {string|null} 文章路径，以 / 开头
+   */
+  static resolve(value, posts) {
+    const key = PostResolver.normalize(value);
+    if (!key) return null;
+
+    const path = key.replace(/^\/+|\/+$/g, '');
+    const lower = key.toLowerCase();
+    const matchers = [
+      post => post.path.replace(/\/+$/, '') === path,
+      post => post.slug === path || post.slug === key,
+      post => (post.title || '').toLowerCase() === lower,
+      post => (post.title || '').toLowerCase().indexOf(lower) !== -1
+    ];
+    for (const matches of matchers) {
+      const post = posts.find(matches);
+      if (post) {
+        return '/' + encodeURI(post.path);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 解析失败时转到站内搜索（search.js 支持 ?q= 深链接）
+   */
+  static target(value, posts) {
+    const path = PostResolver.resolve(value, posts);
+    if (path) return path;
+
+    const query = PostResolver.normalize(value).replace(/^https?:\/\//i, '').replace(/[/-]+/g, ' ').trim();
+    return query ? `/?q=${encodeURIComponent(query)}` : '/';
+  }
+
+  /**
+   * /post/ 页面：读取 content.json 后跳转
+   */
+  static async redirect() {
+    const value = new URLSearchParams(location.search).get('url');
+    let posts = [];
+    try {
+      posts = await (await fetch('/content.json')).json();
+    } catch (error) {
+      console.warn('content.json 加载失败:', error);
+    }
+    location.replace(PostResolver.target(value, posts));
+  }
+}
+
+// 站点域名，链接到这些域名的地址按站内路径解析
+PostResolver.HOSTS = ['315fang.github.io'];
+
+// 导出模块（页面与 Service Worker 挂到全局，Node 中走 CommonJS）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PostResolver;
+} else {
+  self.PostResolver = PostResolver;
+  if (typeof document !== 'undefined' && document.getElementById('postResolver')) {
+    PostResolver.redirect();
+  }
+}
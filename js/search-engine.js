@@ -0,0 +1,1112 @@
+/**
+ * 站内搜索引擎
+ * 由 search.xml 一次性构建倒排索引：中文按单字 + 二元组切分，拉丁文字按单词切分，
+ * 倒排表记录词条在各字段中的字符位置；结果按 BM25 排序并定位到命中最集中的小节。
+ * 查询支持 tag: / category: / before: / after: 过滤、"精确短语" 与 -排除词。
+ * 拉丁词没有精确命中时，再按有限编辑距离纠错，并用拼音全拼 / 首字母匹配中文标题和标签。
+ * 索引与查询中的繁体字均借助 tw-cn-table.js 的对照表转为简体，繁简输入都能命中。
+ * 不依赖 DOM，页面、Web Worker 与 Node 均可加载。
+ */
+
+// 中日韩统一表意文字（基本区、扩展A、兼容区）
+const SEARCH_CJK_RANGE = '\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff';
+const SEARCH_LATIN_RANGE = 'a-z0-9\\u00c0-\\u024f';
+const SEARCH_FIELDS = ['title', 'heading', 'content'];
+
+// 各字段在 BM25F 中的权重：标题 > 小标题 > 正文
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  heading: 2,
+  content: 1
+};
+
+// 索引结构版本，结构变化时递增，使已缓存的旧索引失效
+const SEARCH_INDEX_FORMAT = 4;
+
+// 站点时区（Hexo 的 timezone），文章日期按它取年月日，与永久链接中的日期一致
+const SEARCH_TIME_ZONE = 'Asia/Shanghai';
+
+// 纠错与拼音命中的得分折扣，且总排在精确命中之后
+const SEARCH_FUZZY_PENALTY = 0.5;
+
+const SEARCH_BM25 = {
+  k1: 1.2,
+  b: 0.75
+};
+
+// 会在文本中形成断句的块级标签，去标签时替换为空格，行内标签直接去掉
+const SEARCH_BLOCK_TAGS = /<\/?(?:p|div|h[1-6]|li|ul|ol|dl|dt|dd|br|hr|tr|td|th|table|thead|tbody|blockquote|pre|figure|figcaption|section|article)\b[^>]*>/gi;
+
+// 查询中可用的过滤操作符
+const SEARCH_OPERATORS = ['tag', 'category', 'before', 'after'];
+
+// 日期过滤接受 YYYY、YYYY-MM、YYYY-MM-DD
+const SEARCH_DATE_PATTERN = /^\d{4}(?:-\d{2}(?:-\d{2})?)?$/;
+
+const SEARCH_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+class SearchEngine {
+  constructor() {
+    this.docs = [];
+    this.postings = new Map();
+    this.averageLengths = {};
+    this.vocabulary = null;
+  }
+
+  /**
+   * 由 search.xml 条目构建索引
+   * @param {Array<{title: string, content: string, url: string, date?: string, tags?: string[], categories?: string[]}>} entries
+   *   content 为文章 HTML，其余元数据可先经 joinMetadata 与 content.json 合并
+   */
+  build(entries) {
+    this.docs = [];
+    this.postings = new Map();
+    this.averageLengths = {};
+    this.vocabulary = null;
+
+    entries.forEach(entry => {
+      const title = String(entry.title || '').trim();
+      const { text, headings } = SearchEngine.parseContent(entry.content);
+
+      // 与原逻辑一致：只收录标题和正文都不为空的文章
+      if (!title || !text) return;
+
+      const url = String(entry.url || '');
+      const doc = {
+        id: this.docs.length,
+        title,
+        date: String(entry.date || ''),
+        day: SearchEngine.formatDay(entry.date),
+        tags: (entry.tags || []).map(String),
+        categories: (entry.categories || []).map(String),
+        // 标题与标签逐字的拼音，查询时无需再加载拼音表
+        pinyin: null,
+        url: url.indexOf('/') === 0 || /^https?:\/\//.test(url) ? url : '/' + url,
+        text,
+        // 以带 id 的 h2/h3 划分小节，结果可直接链接到 post-url#heading-id
+        sections: headings
+          .filter(heading => heading.level <= 3 && heading.id)
+          .map(heading => ({
+            id: heading.id,
+            title: text.slice(heading.start, heading.end),
+            start: heading.start
+          })),
+        lengths: {}
+      };
+      doc.pinyin = {
+        title: SearchEngine.toPinyin(title),
+        tags: doc.tags.map(tag => SearchEngine.toPinyin(tag))
+      };
+      SEARCH_FIELDS.forEach(field => { doc.lengths[field] = 0; });
+      this.docs.push(doc);
+
+      SearchEngine.tokenize(title).forEach(token => this.addPosting(doc, 'title', token));
+      SearchEngine.tokenize(text).forEach(token => {
+        const inHeading = headings.some(heading => token.pos >= heading.start && token.pos < heading.end);
+        this.addPosting(doc, inHeading ? 'heading' : 'content', token);
+      });
+    });
+
+    this.computeAverageLengths();
+    return this;
+  }
+
+  /**
+   * 序列化索引，结果为普通对象，可存入 IndexedDB 或经 postMessage 传递
+   */
+  toJSON() {
+    return {
+      format: SEARCH_INDEX_FORMAT,
+      docs: this.docs,
+      postings: Array.from(this.postings),
+      averageLengths: this.averageLengths
+    };
+  }
+
+  /**
+   * 由 toJSON 的结果恢复索引，结构版本不符时返回 null
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== SEARCH_INDEX_FORMAT) return null;
+
+    const engine = new SearchEngine();
+    engine.docs = data.docs;
+    engine.postings = new Map(data.postings);
+    engine.averageLengths = data.averageLengths;
+    return engine;
+  }
+
+  /**
+   * 计算各字段的平均长度，供 BM25 做长度归一化
+   */
+  computeAverageLengths() {
+    SEARCH_FIELDS.forEach(field => {
+      const total = this.docs.reduce((sum, doc) => sum + doc.lengths[field], 0);
+      this.averageLengths[field] = this.docs.length ? total / this.docs.length : 0;
+    });
+  }
+
+  /**
+   * 将一个词条写入倒排表
+   */
+  addPosting(doc, field, token) {
+    doc.lengths[field]++;
+
+    let entries = this.postings.get(token.term);
+    if (!entries) {
+      entries = [];
+      this.postings.set(token.term, entries);
+    }
+
+    // 文档按顺序建索引，同一文档的记录总在末尾
+    let entry = entries[entries.length - 1];
+    if (!entry || entry.doc !== doc.id) {
+      entry = { doc: doc.id };
+      SEARCH_FIELDS.forEach(name => { entry[name] = []; });
+      entries.push(entry);
+    }
+    entry[field].push(token.pos);
+  }
+
+  /**
+   * 将检索词解析为子句，每个子句是若干可互换的词条，文档须满足全部子句
+   */
+  termClauses(text) {
+    const clauses = [];
+
+    SearchEngine.splitRuns(text).forEach(run => {
+      if (!run.cjk) {
+        // 拉丁单词按前缀展开，输入过程中未打完的单词也能命中
+        const terms = this.expandPrefix(run.text);
+        if (terms.length) {
+          clauses.push({ text: run.text, terms });
+          return;
+        }
+        // 没有精确命中时才尝试拼写纠错和拼音，这类命中标记为模糊匹配
+        clauses.push({
+          text: run.text,
+          terms: this.typoTerms(run.text),
+          pinyin: this.pinyinEntries(run.text),
+          fuzzy: true
+        });
+        return;
+      }
+
+      if (run.text.length === 1) {
+        clauses.push({ text: run.text, terms: [run.text] });
+        return;
+      }
+
+      // 索引中不存在的二元组多半横跨词边界（如“大模型区块链”中的“型区”），
+      // 丢弃后两侧的词可以在文中不相邻；未被保留二元组覆盖的字按单字匹配
+      const covered = new Array(run.text.length).fill(false);
+      for (let i = 0; i + 1 < run.text.length; i++) {
+        const bigram = run.text.substr(i, 2);
+        if (this.postings.has(bigram)) {
+          clauses.push({ text: bigram, terms: [bigram] });
+          covered[i] = covered[i + 1] = true;
+        }
+      }
+      covered.forEach((isCovered, i) => {
+        if (!isCovered) {
+          clauses.push({ text: run.text[i], terms: [run.text[i]] });
+        }
+      });
+    });
+
+    return clauses;
+  }
+
+  /**
+   * 在已排序的拉丁词表中查找以 prefix 开头的词条
+   */
+  expandPrefix(prefix) {
+    const vocabulary = this.latinVocabulary();
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (vocabulary[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const terms = [];
+    for (let i = low; i < vocabulary.length && vocabulary[i].indexOf(prefix) === 0; i++) {
+      terms.push(vocabulary[i]);
+    }
+    return terms;
+  }
+
+  latinVocabulary() {
+    if (!this.vocabulary) {
+      this.vocabulary = Array.from(this.postings.keys())
+        .filter(term => !SearchEngine.isCjk(term[0]))
+        .sort();
+    }
+    return this.vocabulary;
+  }
+
+  /**
+   * 词表中与 word 的编辑距离在允许范围内的词条（如 blokchain -> blockchain）
+   */
+  typoTerms(word) {
+    const budget = SearchEngine.typoBudget(word.length);
+    if (!budget) return [];
+
+    return this.latinVocabulary().filter(term => Math.abs(term.length - word.length) <= budget &&
+      SearchEngine.editDistance(word, term, budget) <= budget);
+  }
+
+  /**
+   * 用拼音全拼或首字母匹配标题与标签，返回与倒排表记录同构的条目
+   * 标题命中记录对应汉字的位置以便高亮，标签命中没有正文位置，以 boost 计分
+   */
+  pinyinEntries(word) {
+    if (word.length < 2 || !/^[a-z]+$/.test(word)) return [];
+
+    const entries = [];
+    this.docs.forEach(doc => {
+      if (!doc.pinyin) return;
+
+      const titleMatch = SearchEngine.matchPinyin(word, doc.pinyin.title);
+      const tagMatched = doc.pinyin.tags.some(tag => SearchEngine.matchPinyin(word, tag));
+      if (!titleMatch && !tagMatched) return;
+
+      const entry = { doc: doc.id, boost: tagMatched ? SEARCH_FIELD_WEIGHTS.title : 0 };
+      SEARCH_FIELDS.forEach(field => { entry[field] = []; });
+      if (titleMatch) {
+        for (let pos = titleMatch.start; pos < titleMatch.end; pos++) {
+          entry.title.push(pos);
+        }
+      }
+      entries.push(entry);
+    });
+
+    return entries;
+  }
+
+  /**
+   * 执行查询，按 BM25 得分从高到低返回命中文档；只有过滤条件时按发布日期倒序
+   * @param {string|Object} query 查询字符串，或 SearchEngine.parseQuery 的结果
+   * @returns {Array<{doc: Object, score: number, hits: Array, section: Object|null, offset: number, url: string}>}
+   */
+  search(query) {
+    const parsed = typeof query === 'string' ? SearchEngine.parseQuery(query) : query;
+    const clauses = this.termClauses(parsed.terms.concat(parsed.phrases).join(' '));
+    let candidates;
+
+    if (clauses.length) {
+      candidates = this.matchClauses(clauses);
+    } else if (SearchEngine.hasFilters(parsed)) {
+      candidates = new Map(this.docs.map(doc => [doc.id, { hits: [], score: 0 }]));
+    } else {
+      return [];
+    }
+
+    return Array.from(candidates.keys())
+      .filter(docId => this.matchesFilters(this.docs[docId], parsed))
+      .map(docId => this.createResult(this.docs[docId], candidates.get(docId)))
+      .sort((a, b) => {
+        if (a.fuzzy !== b.fuzzy) return a.fuzzy ? 1 : -1;
+        if (clauses.length && b.score !== a.score) return b.score - a.score;
+        if (!clauses.length && a.doc.day !== b.doc.day) return a.doc.day < b.doc.day ? 1 : -1;
+        return a.doc.id - b.doc.id;
+      });
+  }
+
+  /**
+   * 在倒排表中求各子句的交集，同时累加 BM25 得分
+   * @returns {Map<number, {hits: Array, score: number}>}
+   */
+  matchClauses(clauses) {
+    let candidates = null;
+
+    for (const clause of clauses) {
+      const matched = new Map();
+      const penalty = clause.fuzzy ? SEARCH_FUZZY_PENALTY : 1;
+      const sources = clause.terms.map(term => ({ len: term.length, entries: this.postings.get(term) || [] }));
+
+      // 拼音命中逐字记录位置
+      if (clause.pinyin && clause.pinyin.length) {
+        sources.push({ len: 1, entries: clause.pinyin });
+      }
+
+      sources.forEach(source => {
+        const idf = this.idf(source.entries.length);
+
+        source.entries.forEach(entry => {
+          if (candidates && !candidates.has(entry.doc)) return;
+
+          let match = matched.get(entry.doc);
+          if (!match) {
+            const previous = candidates ? candidates.get(entry.doc) : null;
+            match = {
+              hits: previous ? previous.hits : [],
+              score: previous ? previous.score : 0,
+              fuzzy: previous ? previous.fuzzy : false,
+              clauseScore: 0
+            };
+            matched.set(entry.doc, match);
+          }
+
+          // 子句内各词条可互换，只取得分最高的一个，避免前缀展开放大得分
+          match.clauseScore = Math.max(match.clauseScore, idf * this.termFrequencyScore(entry) * penalty);
+          match.fuzzy = match.fuzzy || Boolean(clause.fuzzy);
+          SEARCH_FIELDS.forEach(field => {
+            entry[field].forEach(pos => match.hits.push({ field, pos, len: source.len, idf }));
+          });
+        });
+      });
+
+      matched.forEach(match => {
+        match.score += match.clauseScore;
+        match.clauseScore = 0;
+      });
+      candidates = matched;
+      if (!candidates.size) break;
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 检查标签、分类、日期、短语与排除词条件
+   */
+  matchesFilters(doc, parsed) {
+    const fold = value => SearchEngine.normalizeScript(value).toLowerCase();
+    const hasAll = (values, wanted) => {
+      const folded = values.map(fold);
+      return wanted.every(value => folded.indexOf(fold(value)) !== -1);
+    };
+
+    if (!hasAll(doc.tags, parsed.tags) || !hasAll(doc.categories, parsed.categories)) {
+      return false;
+    }
+    // 按日期前缀比较，before:2025-08 表示 2025 年 8 月之前
+    if (parsed.before && !(doc.day && doc.day.slice(0, parsed.before.length) < parsed.before)) {
+      return false;
+    }
+    if (parsed.after && !(doc.day && doc.day.slice(0, parsed.after.length) > parsed.after)) {
+      return false;
+    }
+
+    const haystack = fold(doc.title + ' ' + doc.text);
+    const contains = value => haystack.indexOf(fold(value)) !== -1;
+    return parsed.phrases.every(contains) && !parsed.excludes.some(contains);
+  }
+
+  idf(documentFrequency) {
+    const total = this.docs.length;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * BM25F 词频部分：各字段按权重和长度归一化后合并，再做饱和
+   */
+  termFrequencyScore(entry) {
+    const doc = this.docs[entry.doc];
+    let frequency = 0;
+
+    SEARCH_FIELDS.forEach(field => {
+      const count = entry[field].length;
+      if (!count) return;
+
+      const averageLength = this.averageLengths[field] || 1;
+      const norm = 1 - SEARCH_BM25.b + SEARCH_BM25.b * doc.lengths[field] / averageLength;
+      frequency += SEARCH_FIELD_WEIGHTS[field] * count / norm;
+    });
+    frequency += entry.boost || 0;
+
+    return frequency * (SEARCH_BM25.k1 + 1) / (SEARCH_BM25.k1 + frequency);
+  }
+
+  /**
+   * 组装结果：找出命中最集中的小节，链接和摘要都以它为准
+   */
+  createResult(doc, match) {
+    const hits = match.hits.sort((a, b) => a.pos - b.pos);
+    const bodyHits = hits.filter(hit => hit.field !== 'title');
+    const sectionScores = new Map();
+
+    bodyHits.forEach(hit => {
+      const index = this.sectionIndexAt(doc, hit.pos);
+      const score = (sectionScores.get(index) || 0) + hit.idf * SEARCH_FIELD_WEIGHTS[hit.field];
+      sectionScores.set(index, score);
+    });
+
+    // 命中按位置排序，同分时保留靠前的小节
+    let bestIndex = -1;
+    let bestScore = 0;
+    sectionScores.forEach((score, index) => {
+      if (score > bestScore) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+
+    const section = bestIndex >= 0 ? doc.sections[bestIndex] : null;
+    const sectionEnd = section && doc.sections[bestIndex + 1] ? doc.sections[bestIndex + 1].start : doc.text.length;
+    const focus = bodyHits.find(hit => !section || (hit.pos >= section.start && hit.pos < sectionEnd));
+
+    return {
+      doc,
+      score: match.score,
+      fuzzy: Boolean(match.fuzzy),
+      hits,
+      section,
+      offset: focus ? focus.pos : 0,
+      url: section ? doc.url + '#' + encodeURIComponent(section.id) : doc.url
+    };
+  }
+
+  /**
+   * 将结果精简为可经 postMessage 传递的对象：只带摘要片段，命中位置相对片段起点
+   * @param {{before?: number, length?: number}} options 摘要取命中点前 before 个字符，共 length 个字符
+   */
+  summarize(result, options = {}) {
+    const { doc } = result;
+    const before = options.before === undefined ? 20 : options.before;
+    const start = Math.max(result.offset - before, 0);
+    const end = Math.min(start + (options.length || 100), doc.text.length);
+    const pick = hit => ({ pos: hit.pos, len: hit.len });
+
+    return {
+      id: doc.id,
+      url: result.url,
+      score: result.score,
+      fuzzy: result.fuzzy,
+      title: doc.title,
+      date: doc.date,
+      day: doc.day,
+      tags: doc.tags,
+      categories: doc.categories,
+      section: result.section ? { id: result.section.id, title: result.section.title } : null,
+      titleHits: result.hits.filter(hit => hit.field === 'title').map(pick),
+      excerpt: {
+        text: doc.text.slice(start, end),
+        hits: result.hits
+          .filter(hit => hit.field !== 'title' && hit.pos < end && hit.pos + hit.len > start)
+          .map(hit => ({ pos: hit.pos - start, len: hit.len })),
+        truncated: end < doc.text.length
+      }
+    };
+  }
+
+  /**
+   * 返回 pos 所在小节的下标，位于第一个小节之前时为 -1
+   */
+  sectionIndexAt(doc, pos) {
+    let index = -1;
+    for (let i = 0; i < doc.sections.length && doc.sections[i].start <= pos; i++) {
+      index = i;
+    }
+    return index;
+  }
+
+  /**
+   * 按日期倒序的最新文章
+   */
+  latest(count) {
+    return this.docs
+      .filter(doc => doc.day)
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+      .slice(0, count);
+  }
+
+  /**
+   * 使用最多的标签
+   * @returns {Array<{name: string, count: number}>}
+   */
+  topTags(count) {
+    const counts = new Map();
+    this.docs.forEach(doc => {
+      doc.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([name, total]) => ({ name, count: total }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, count);
+  }
+
+  /**
+   * 无结果时的建议：与检索词最接近的标签名和文章标题
+   * 标签按二元组的 Dice 系数比较，标题按检索词二元组在标题中的覆盖率比较
+   * @returns {{tags: string[], docs: Object[]}}
+   */
+  suggest(query, limit = 5) {
+    const parsed = typeof query === 'string' ? SearchEngine.parseQuery(query) : query;
+    const words = parsed.terms.concat(parsed.phrases, parsed.tags, parsed.categories)
+      .map(word => SearchEngine.bigrams(word))
+      .filter(grams => grams.size);
+    const text = SearchEngine.bigrams(parsed.terms.concat(parsed.phrases).join(''));
+    if (!words.length) return { tags: [], docs: [] };
+
+    const rank = (items, score, threshold) => items
+      .map(item => ({ item, score: score(item) }))
+      .filter(entry => entry.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => entry.item);
+
+    const tagNames = Array.from(new Set([].concat(...this.docs.map(doc => doc.tags))));
+    const tags = rank(tagNames, name => {
+      const grams = SearchEngine.bigrams(name);
+      return Math.max(...words.map(word => SearchEngine.dice(word, grams)));
+    }, 0.3);
+
+    const docs = !text.size ? [] : rank(this.docs, doc => {
+      const grams = SearchEngine.bigrams(doc.title);
+      let shared = 0;
+      text.forEach(gram => { if (grams.has(gram)) shared++; });
+      return shared / text.size;
+    }, 0.3);
+
+    return { tags, docs };
+  }
+
+  /**
+   * 解析查询字符串中的操作符
+   * operators 记录每个过滤条件在原查询中的位置，便于界面逐个移除；
+   * parts 按顺序记录包括普通检索词在内的每一段
+   * @returns {{terms: string[], phrases: string[], excludes: string[], tags: string[], categories: string[],
+   *   before: string|null, after: string|null, operators: Array<{type: string, value: string, raw: string, index: number}>,
+   *   parts: Array<{type: string, value: string, raw: string, index: number}>}}
+   */
+  static parseQuery(query) {
+    const parsed = {
+      terms: [],
+      phrases: [],
+      excludes: [],
+      tags: [],
+      categories: [],
+      before: null,
+      after: null,
+      operators: [],
+      parts: []
+    };
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    const source = String(query || '');
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      const raw = match[0];
+      const negate = match[1] === '-';
+      const quoted = match[3] !== undefined;
+      const operator = match[2] ? match[2].toLowerCase() : '';
+      let value = (quoted ? match[3] : match[4] || '').replace(/\s+/g, ' ').trim();
+      const record = type => {
+        const part = { type, value, raw, index: match.index };
+        parsed.operators.push(part);
+        parsed.parts.push(part);
+      };
+
+      if (operator && SEARCH_OPERATORS.indexOf(operator) !== -1 && !negate && value) {
+        if (operator === 'tag' || operator === 'category') {
+          parsed[operator === 'tag' ? 'tags' : 'categories'].push(value);
+          record(operator);
+          continue;
+        }
+        if (SEARCH_DATE_PATTERN.test(value)) {
+          parsed[operator] = value;
+          record(operator);
+          continue;
+        }
+      }
+
+      // 不认识的操作符（如网址里的 https:）按普通文本处理
+      if (match[2]) {
+        value = match[2] + ':' + value;
+      }
+      if (!value) continue;
+
+      if (negate) {
+        parsed.excludes.push(value);
+        record('exclude');
+      } else if (quoted) {
+        parsed.phrases.push(value);
+        record('phrase');
+      } else {
+        parsed.terms.push(value);
+        parsed.parts.push({ type: 'term', value, raw, index: match.index });
+      }
+    }
+
+    return parsed;
+  }
+
+  static hasFilters(parsed) {
+    return parsed.operators.length > 0;
+  }
+
+  /**
+   * 解析 Hexo 生成的 search.xml。Worker 中没有 DOMParser，这里按固定结构用正则提取
+   * @returns {Array<{title: string, url: string, content: string, categories: string[], tags: string[]}>}
+   */
+  static parseSearchXml(xml) {
+    const entries = [];
+    const entryPattern = /<entry>([\s\S]*?)<\/entry>/g;
+    const source = String(xml || '');
+    const first = (block, tag) => {
+      const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\/${tag}>`).exec(block);
+      return match ? SearchEngine.xmlText(match[1]) : '';
+    };
+    const all = (block, tag) => {
+      const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\/${tag}>`, 'g');
+      const values = [];
+      let match;
+      while ((match = pattern.exec(block)) !== null) {
+        const value = SearchEngine.xmlText(match[1]);
+        if (value) values.push(value);
+      }
+      return values;
+    };
+    let match;
+
+    while ((match = entryPattern.exec(source)) !== null) {
+      const block = match[1];
+      // 正文之外的部分才取分类和标签，避免误匹配文章里的内容
+      const meta = block.replace(/<content\b[\s\S]*?<\/content>/, '');
+      entries.push({
+        title: first(meta, 'title'),
+        url: first(meta, 'url'),
+        content: first(block, 'content'),
+        categories: all(meta, 'category'),
+        tags: all(meta, 'tag')
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * 取 XML 节点文本：CDATA 原样保留，其余部分解码实体
+   */
+  static xmlText(raw) {
+    const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+    let text = '';
+    let cursor = 0;
+    let match;
+
+    while ((match = pattern.exec(raw)) !== null) {
+      text += SearchEngine.decodeEntities(raw.slice(cursor, match.index)) + match[1];
+      cursor = pattern.lastIndex;
+    }
+    text += SearchEngine.decodeEntities(raw.slice(cursor));
+
+    return text.trim();
+  }
+
+  /**
+   * 将 content.json 中的日期、标签、分类合并进 search.xml 条目，按文章路径关联
+   */
+  static joinMetadata(entries, posts) {
+    const names = list => (list || []).map(item => (typeof item === 'string' ? item : item && item.name) || '')
+      .map(name => name.trim())
+      .filter(Boolean);
+    const union = (a, b) => Array.from(new Set(names(a).concat(names(b))));
+    const byPath = new Map();
+
+    (posts || []).forEach(post => {
+      byPath.set(SearchEngine.normalizePath(post.path), post);
+    });
+
+    return entries.map(entry => {
+      const post = byPath.get(SearchEngine.normalizePath(entry.url));
+      if (!post) return entry;
+
+      return Object.assign({}, entry, {
+        date: post.date || entry.date,
+        tags: union(entry.tags, post.tags),
+        categories: union(entry.categories, post.categories)
+      });
+    });
+  }
+
+  /**
+   * 统一文章路径：解码、去掉站点前缀与首尾斜杠
+   */
+  static normalizePath(url) {
+    let path = String(url || '').trim();
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      // 保留无法解码的原始路径
+    }
+    return path
+      .replace(/^https?:\/\/[^/]+/, '')
+      .replace(/[?#].*$/, '')
+      .replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * 发布日期按站点时区格式化为 YYYY-MM-DD，结果不随读者所在时区变化
+   */
+  static formatDay(date) {
+    const time = new Date(date);
+    if (!date || Number.isNaN(time.getTime())) return '';
+
+    if (!SearchEngine.dayFormat) {
+      SearchEngine.dayFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: SEARCH_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      });
+    }
+    const parts = {};
+    SearchEngine.dayFormat.formatToParts(time).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  /**
+   * 将文本切分为连续的中文片段和拉丁单词
+   */
+  static splitRuns(text) {
+    const pattern = new RegExp(`([${SEARCH_CJK_RANGE}]+)|([${SEARCH_LATIN_RANGE}]+)`, 'gi');
+    const source = String(text || '');
+    const runs = [];
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      runs.push({
+        // 繁简转换逐字一一对应，不影响字符位置
+        text: match[1] ? SearchEngine.normalizeScript(match[0]) : match[0].toLowerCase(),
+        pos: match.index,
+        cjk: Boolean(match[1])
+      });
+    }
+
+    return runs;
+  }
+
+  /**
+   * 分词：中文输出单字和二元组，拉丁文字输出小写单词，pos 为在原文中的字符位置
+   */
+  static tokenize(text) {
+    const tokens = [];
+
+    SearchEngine.splitRuns(text).forEach(run => {
+      if (!run.cjk) {
+        tokens.push({ term: run.text, pos: run.pos });
+        return;
+      }
+
+      for (let i = 0; i < run.text.length; i++) {
+        tokens.push({ term: run.text[i], pos: run.pos + i });
+        if (i + 1 < run.text.length) {
+          tokens.push({ term: run.text.substr(i, 2), pos: run.pos + i });
+        }
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * 允许的编辑距离：4 个字符以下不纠错，8 个字符以下 1 处，更长 2 处
+   */
+  static typoBudget(length) {
+    if (length < 4) return 0;
+    return length < 8 ? 1 : 2;
+  }
+
+  /**
+   * 带上限的编辑距离（含相邻字符交换），超过 max 时提前返回 max + 1
+   */
+  static editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, beforePrevious[j - 2] + 1);
+        }
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * 逐字转换为拼音，非汉字或表中没有的字为空字符串
+   */
+  static toPinyin(text) {
+    if (!SearchEngine.pinyinLookup) {
+      const table = typeof PINYIN_TABLE !== 'undefined' ? PINYIN_TABLE
+        : typeof module !== 'undefined' && module.exports ? require('./pinyin-table.js') : {};
+      SearchEngine.pinyinLookup = new Map();
+      Object.keys(table).forEach(syllable => {
+        Array.from(table[syllable]).forEach(char => SearchEngine.pinyinLookup.set(char, syllable));
+      });
+    }
+
+    return Array.from(SearchEngine.normalizeScript(text), char => SearchEngine.pinyinLookup.get(char) || '');
+  }
+
+  /**
+   * 按 tw-cn-table.js 的繁简对照表将繁体字转为简体，规则与 tw_cn.js 的 Simplized 相同
+   * 未加载对照表时原样返回
+   */
+  static normalizeScript(text) {
+    return SearchEngine.convertScript(text, SearchEngine.scriptTables().toSimplified);
+  }
+
+  /**
+   * 按读者在 tw_cn.js 中选择的字形显示文字：其 cookie 中 targetEncoding 为 1（繁体）时转为繁体，
+   * 只读取 cookie，页面不必加载 tw_cn.js；逐字一一转换，命中位置不变
+   */
+  static toReaderScript(text) {
+    if (typeof document === 'undefined' || !document.cookie) return String(text || '');
+
+    const prefix = SearchEngine.SCRIPT_COOKIE + '=';
+    const traditional = document.cookie.split(';')
+      .some(item => item.trim() === prefix + '1');
+    return traditional
+      ? SearchEngine.convertScript(text, SearchEngine.scriptTables().toTraditional)
+      : String(text || '');
+  }
+
+  /**
+   * 繁转简、简转繁的逐字对照，由 tw-cn-table.js 建立，未加载对照表时为空
+   */
+  static scriptTables() {
+    if (!SearchEngine.scriptLookup) {
+      const table = typeof TW_CN_TABLE !== 'undefined' ? TW_CN_TABLE
+        : typeof module !== 'undefined' && module.exports ? require('./tw-cn-table.js') : null;
+      const toSimplified = new Map();
+      const toTraditional = new Map();
+      if (table) {
+        const { simplified, traditional } = table;
+        for (let i = traditional.length - 1; i >= 0; i--) {
+          // 倒序写入，重复出现的字以首次出现的对照为准
+          if (traditional.charCodeAt(i) > 10000) {
+            toSimplified.set(traditional.charAt(i), simplified.charAt(i));
+          }
+          if (simplified.charCodeAt(i) > 10000) {
+            toTraditional.set(simplified.charAt(i), traditional.charAt(i));
+          }
+        }
+      }
+      SearchEngine.scriptLookup = { toSimplified, toTraditional };
+    }
+    return SearchEngine.scriptLookup;
+  }
+
+  static convertScript(text, lookup) {
+    const source = String(text || '');
+    if (!lookup.size) return source;
+
+    let result = '';
+    for (let i = 0; i < source.length; i++) {
+      const char = source.charAt(i);
+      result += lookup.get(char) || char;
+    }
+    return result;
+  }
+
+  /**
+   * 在逐字拼音中查找与 word 匹配的连续汉字：首字母完全一致，
+   * 或全拼以 word 开头 / 与 word 的编辑距离在允许范围内
+   * @returns {{start: number, end: number}|null}
+   */
+  static matchPinyin(word, syllables) {
+    const budget = SearchEngine.typoBudget(word.length);
+
+    for (let start = 0; start < syllables.length; start++) {
+      if (!syllables[start]) continue;
+
+      let initials = '';
+      let full = '';
+      for (let end = start; end < syllables.length && syllables[end]; end++) {
+        initials += syllables[end][0];
+        full += syllables[end];
+
+        if (initials === word || full.indexOf(word) === 0) {
+          return { start, end: end + 1 };
+        }
+        if (budget && Math.abs(full.length - word.length) <= budget &&
+          SearchEngine.editDistance(word, full, budget) <= budget) {
+          return { start, end: end + 1 };
+        }
+        if (initials.length >= word.length && full.length > word.length + budget) break;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 统一字形与大小写后的字符二元组集合，两个字以内的短词另加单字，否则几乎无从比较
+   */
+  static bigrams(text) {
+    const chars = Array.from(SearchEngine.normalizeScript(text).toLowerCase().replace(/\s+/g, ''));
+    const grams = new Set();
+    if (chars.length <= 2) chars.forEach(char => grams.add(char));
+    for (let i = 0; i + 1 < chars.length; i++) {
+      grams.add(chars[i] + chars[i + 1]);
+    }
+    return grams;
+  }
+
+  static dice(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach(gram => { if (b.has(gram)) shared++; });
+    return 2 * shared / (a.size + b.size);
+  }
+
+  static isCjk(char) {
+    return new RegExp(`[${SEARCH_CJK_RANGE}]`).test(char || '');
+  }
+
+  /**
+   * 将文章 HTML 拆为纯文本，并记录各级标题在文本中的区间
+   * @returns {{text: string, headings: Array<{level: number, id: string, start: number, end: number}>}}
+   */
+  static parseContent(html) {
+    const source = String(html || '');
+    const pattern = /<h([1-6])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+    const parts = [];
+    let cursor = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      parts.push({ html: source.slice(cursor, match.index) });
+      const id = /\bid="([^"]*)"/i.exec(match[2]);
+      parts.push({
+        html: match[3],
+        level: Number(match[1]),
+        id: id ? SearchEngine.decodeEntities(id[1]) : ''
+      });
+      cursor = pattern.lastIndex;
+    }
+    parts.push({ html: source.slice(cursor) });
+
+    let text = '';
+    const headings = [];
+    parts.forEach(part => {
+      const piece = SearchEngine.stripHtml(part.html);
+      if (!piece) return;
+
+      if (text) text += ' ';
+      if (part.level) {
+        headings.push({ level: part.level, id: part.id, start: text.length, end: text.length + piece.length });
+      }
+      text += piece;
+    });
+
+    return { text, headings };
+  }
+
+  /**
+   * 去除 HTML 标签并解码实体，得到用于索引和摘要的纯文本
+   */
+  static stripHtml(html) {
+    const text = String(html || '')
+      .replace(SEARCH_BLOCK_TAGS, ' ')
+      .replace(/<[^>]+>/g, '');
+
+    return SearchEngine.decodeEntities(text).replace(/\s+/g, ' ').trim();
+  }
+
+  static decodeEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+      if (code[0] !== '#') {
+        const named = SEARCH_ENTITIES[code.toLowerCase()];
+        return named === undefined ? match : named;
+      }
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : match;
+    });
+  }
+
+  static escapeHtml(str) {
+    return String(str || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 截取 text 的 [start, end) 区间并高亮其中的命中区间，返回转义后的 HTML
+   * @param {Array<{pos: number, len: number}>} ranges
+   * @param {function(string): string} wrap 包裹一段已转义的命中文本
+   */
+  static highlight(text, ranges, start, end, wrap) {
+    let html = '';
+    let cursor = start;
+    SearchEngine.mergeRanges(ranges, start, end).forEach(range => {
+      html += SearchEngine.escapeHtml(text.slice(cursor, range.from));
+      html += wrap(SearchEngine.escapeHtml(text.slice(range.from, range.to)));
+      cursor = range.to;
+    });
+    html += SearchEngine.escapeHtml(text.slice(cursor, end));
+
+    return html;
+  }
+
+  /**
+   * 将 [start, end) 内的命中区间排序并合并重叠或相邻的部分
+   * @returns {Array<{from: number, to: number}>}
+   */
+  static mergeRanges(ranges, start, end) {
+    const merged = [];
+    ranges
+      .filter(range => range.pos < end && range.pos + range.len > start)
+      .sort((a, b) => a.pos - b.pos)
+      .forEach(range => {
+        const from = Math.max(range.pos, start);
+        const to = Math.min(range.pos + range.len, end);
+        const last = merged[merged.length - 1];
+        if (last && from <= last.to) {
+          last.to = Math.max(last.to, to);
+        } else {
+          merged.push({ from, to });
+        }
+      });
+
+    return merged;
+  }
+}
+
+SearchEngine.FORMAT = SEARCH_INDEX_FORMAT;
+SearchEngine.pinyinLookup = null;
+SearchEngine.scriptLookup = null;
+SearchEngine.dayFormat = null;
+
+// tw_cn.js 保存读者所选字形的 cookie 名（"targetEncoding" 加去掉点号的 cookieDomain）
+SearchEngine.SCRIPT_COOKIE = 'targetEncodinghttps://blog17lai.site/';
+
+// 导出模块（页面与 Worker 挂到全局，Node 中走 CommonJS）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchEngine;
+} else {
+  self.SearchEngine = SearchEngine;
+}
@@ -0,0 +1,182 @@
+/**
+ * 搜索索引缓存
+ * 以 search.xml 与 content.json 的版本（ETag / Last-Modified，缺失时为内容哈希）为键，
+ * 将序列化后的索引保存在 IndexedDB，版本不变时直接复用，不再下载和解析 search.xml。
+ * 同一页面内所有搜索入口通过 SearchIndexStore.shared() 共用一次加载。
+ */
+
+class SearchIndexStore {
+  constructor(options = {}) {
+    this.xmlUrl = options.xmlUrl || '/search.xml';
+    this.jsonUrl = options.jsonUrl || '/content.json';
+    this.dbName = options.dbName || 'search-index';
+    this.storeName = 'indexes';
+    // 索引结构版本也计入缓存键，引擎升级后旧索引自动失效
+    this.format = options.format || (typeof SearchEngine !== 'undefined' ? SearchEngine.FORMAT : 0);
+    this.loading = null;
+  }
+
+  /**
+   * 页面内共享的实例，首个调用者的参数生效
+   */
+  static shared(options) {
+    if (!SearchIndexStore.instance) {
+      SearchIndexStore.instance = new SearchIndexStore(options);
+    }
+    return SearchIndexStore.instance;
+  }
+
+  /**
+   * 加载索引，同一实例只加载一次
+   * @param {function({xml: string, posts: Array, version: string}): (Object|Promise<Object>)} build
+   *   缓存未命中时构建索引，返回 SearchEngine#toJSON 的结果
+   * @returns {Promise<{version: string, index: Object}>}
+   */
+  load(build) {
+    if (!this.loading) {
+      this.loading = this.resolve(build).catch(error => {
+        // 失败后允许下次重试
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async resolve(build) {
+    const [xmlProbe, jsonProbe] = await Promise.all([
+      this.probe(this.xmlUrl),
+      this.probe(this.jsonUrl).catch(() => ({ version: 'none', body: '' }))
+    ]);
+    const version = `${this.format}|${xmlProbe.version}|${jsonProbe.version}`;
+
+    const cached = await this.read().catch(() => null);
+    if (cached && cached.version === version && cached.index) {
+      return { version, index: cached.index };
+    }
+
+    const xml = xmlProbe.body !== null ? xmlProbe.body : await this.fetchText(this.xmlUrl);
+    let posts = [];
+    try {
+      const json = jsonProbe.body !== null ? jsonProbe.body : await this.fetchText(this.jsonUrl);
+      posts = json ? JSON.parse(json) : [];
+    } catch (error) {
+      console.warn('content.json 加载失败，仅使用 search.xml 中的元数据:', error);
+    }
+
+    const index = await build({ xml, posts, version });
+    await this.write({ version, index, savedAt: Date.now() }).catch(error => {
+      console.warn('搜索索引缓存写入失败:', error);
+    });
+
+    return { version, index };
+  }
+
+  /**
+   * 获取资源版本：优先用 HEAD 请求的 ETag / Last-Modified，
+   * 服务器不提供时下载内容计算哈希，并把内容一并返回以免重复下载
+   * @returns {Promise<{version: string, body: string|null}>}
+   */
+  async probe(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+      const tag = response.ok && (response.headers.get('ETag') || response.headers.get('Last-Modified'));
+      if (tag) {
+        return { version: tag, body: null };
+      }
+    } catch (error) {
+      // 部分环境不支持 HEAD，退回到内容哈希
+    }
+
+    const body = await this.fetchText(url);
+    return { version: await SearchIndexStore.hash(body), body };
+  }
+
+  async fetchText(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`${url} 加载失败: ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * 内容哈希：支持时用 SHA-256，否则用 FNV-1a
+   */
+  static async hash(text) {
+    if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return 'fnv-' + (hash >>> 0).toString(16) + '-' + text.length;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB 不可用'));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 只保留最新版本的索引，读写都使用固定键
+   */
+  async read() {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get('current');
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async write(record) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      transaction.objectStore(this.storeName).put(record, 'current');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 清除缓存的索引
+   */
+  async clear() {
+    this.loading = null;
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      transaction.objectStore(this.storeName).clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+SearchIndexStore.instance = null;
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndexStore;
+} else {
+  self.SearchIndexStore = SearchIndexStore;
+}
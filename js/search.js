@@ -1,82 +1,501 @@
-var searchFunc = function (path, search_id, content_id) {
+var searchFunc = function (path, search_id, content_id, json_path) {
     'use strict';
-    $.ajax({
-        url: path,
-        dataType: "xml",
-        success: function (xmlResponse) {
-            // get the contents from search data
-            var datas = $("entry", xmlResponse).map(function () {
-                return {
-                    title: $("title", this).text(),
-                    content: $("content", this).text(),
-                    url: $("url", this).text()
-                };
-            }).get();
-            var $input = document.getElementById(search_id);
-            var $resultContent = document.getElementById(content_id);
-            $input.addEventListener('input', function () {
-                var str = '<ul class=\"search-result-list\">';
-                var keywords = this.value.trim().toLowerCase().split(/[\s\-]+/);
-                $resultContent.innerHTML = "";
-                if (this.value.trim().length <= 0) {
+    // the index is cached in IndexedDB by search.xml/content.json version and shared with other search entry points
+    var store = SearchIndexStore.shared({ xmlUrl: path, jsonUrl: json_path || '/content.json' });
+    // set once worker-manager.js has created the optimizer, see workersReady below
+    var optimizer = null;
+
+    // tags, categories and dates come from content.json, joined with search.xml by post path
+    var localBuild = function (source) {
+        var entries = SearchEngine.parseSearchXml(source.xml);
+        return new SearchEngine().build(SearchEngine.joinMetadata(entries, source.posts)).toJSON();
+    };
+
+    // on a cache miss the worker builds the index and hands back a serialized copy for the cache
+    var workerBuild = function (source) {
+        return optimizer.buildSearchIndex({
+            xml: source.xml,
+            posts: source.posts,
+            version: source.version,
+            serialize: true
+        }).then(function (result) {
+            return result.index;
+        }, function () {
+            return localBuild(source);
+        });
+    };
+
+    // main thread: answer each query in one batch
+    var localBackend = function (engine) {
+        return {
+            search: function (query, onBatch) {
+                var results = engine.search(query).map(function (result) {
+                    return engine.summarize(result);
+                });
+                onBatch(results);
+                return Promise.resolve({ total: results.length });
+            }
+        };
+    };
+
+    // worker pool: the index is kept in a worker, results stream back in ranked batches
+    var workerBackend = {
+        search: function (query, onBatch) {
+            return optimizer.searchIndex(query, onBatch);
+        }
+    };
+
+    var $input = document.getElementById(search_id);
+    var $resultContent = document.getElementById(content_id);
+    var $modal = $($input).closest('.modal')[0];
+    var historyKey = 'search-history';
+    var historyLimit = 10;
+    var zeroResultKey = 'search-zero-results';
+    var zeroResultLimit = 200;
+    // a main-thread copy of the index for the empty state and zero-result suggestions
+    var engine = null;
+
+    // show titles and snippets in the script the reader picked with tw_cn.js (its targetEncoding cookie);
+    // the conversion is one character for one, so hit offsets stay valid
+    var toReaderScript = SearchEngine.toReaderScript;
+
+    var tagQuery = function (name) {
+        return 'tag:' + (/\s/.test(name) ? '"' + name + '"' : name);
+    };
+
+    var renderPostList = function (docs) {
+        return "<ul class=\"search-post-list\">" + docs.map(function (doc) {
+            return "<li><a href=\"" + SearchEngine.escapeHtml(doc.url) + "\">" + SearchEngine.escapeHtml(toReaderScript(doc.title)) + "</a>" +
+                (doc.day ? "<span class=\"search-post-date\">" + doc.day + "</span>" : '') + "</li>";
+        }).join('') + "</ul>";
+    };
+
+    var renderTagChips = function (names, counts) {
+        return "<div class=\"search-tag-chips\">" + names.map(function (name, i) {
+            return "<a class=\"chip search-query-link\" href=\"javascript:;\" data-query=\"" + SearchEngine.escapeHtml(tagQuery(name)) + "\">" +
+                SearchEngine.escapeHtml(toReaderScript(name)) + (counts ? "<span class=\"search-tag-count\">" + counts[i] + "</span>" : '') + "</a>";
+        }).join('') + "</div>";
+    };
+
+    // recent queries live in localStorage; a full or disabled storage just means no history
+    var readHistory = function () {
+        try {
+            var list = JSON.parse(localStorage.getItem(historyKey) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    };
+
+    var writeHistory = function (list) {
+        try {
+            if (list.length) {
+                localStorage.setItem(historyKey, JSON.stringify(list));
+            } else {
+                localStorage.removeItem(historyKey);
+            }
+        } catch (e) {
+            // ignore
+        }
+    };
+
+    var rememberQuery = function (query) {
+        query = query.replace(/\s+/g, ' ').trim();
+        if (!query) {
+            return;
+        }
+        writeHistory([query].concat(readHistory().filter(function (item) {
+            return item !== query;
+        })).slice(0, historyLimit));
+    };
+
+    // shown while the box is empty: recent queries, then the latest posts and the most used tags once the index is in
+    var renderEmptyState = function () {
+        var html = '';
+        var list = readHistory();
+        if (list.length) {
+            html += "<div class=\"search-history\"><p class=\"search-history-header\">最近搜索" +
+                "<a class=\"search-history-clear\" href=\"javascript:;\">清除</a></p><ul class=\"search-history-list\">" +
+                list.map(function (query) {
+                    return "<li class=\"search-history-item\" data-query=\"" + SearchEngine.escapeHtml(query) + "\">" +
+                        "<i class=\"fas fa-history\"></i>" + SearchEngine.escapeHtml(query) + "</li>";
+                }).join('') + "</ul></div>";
+        }
+        if (engine) {
+            var latest = engine.latest(5);
+            var tags = engine.topTags(12);
+            if (latest.length) {
+                html += "<div class=\"search-overview\"><p class=\"search-overview-header\">最新文章</p>" + renderPostList(latest) + "</div>";
+            }
+            if (tags.length) {
+                html += "<div class=\"search-overview\"><p class=\"search-overview-header\">热门标签</p>" + renderTagChips(tags.map(function (tag) {
+                    return tag.name;
+                }), tags.map(function (tag) {
+                    return tag.count;
+                })) + "</div>";
+            }
+        }
+        $resultContent.innerHTML = html;
+    };
+
+    // queries that found nothing, kept locally and exported from the performance control panel
+    var logZeroResult = function (query) {
+        query = query.replace(/\s+/g, ' ').trim();
+        try {
+            var log = JSON.parse(localStorage.getItem(zeroResultKey) || '[]');
+            var now = new Date().toISOString();
+            var entry = log.filter(function (item) {
+                return item.query === query;
+            })[0];
+            if (entry) {
+                entry.count += 1;
+                entry.lastSeen = now;
+            } else {
+                log.push({ query: query, count: 1, firstSeen: now, lastSeen: now });
+            }
+            log.sort(function (a, b) {
+                return a.lastSeen < b.lastSeen ? 1 : -1;
+            });
+            localStorage.setItem(zeroResultKey, JSON.stringify(log.slice(0, zeroResultLimit)));
+        } catch (e) {
+            // ignore
+        }
+    };
+
+    var openModal = function () {
+        if (!$modal) {
+            return;
+        }
+        var modal = M.Modal.getInstance($modal) || M.Modal.init($modal);
+        if (!modal.isOpen) {
+            modal.open();
+        }
+        $input.focus();
+    };
+
+    // keyboard selection moves over the results, or over the recent queries when the box is empty
+    var selectables = function () {
+        return $($resultContent).find('.search-result-list > li, .search-history-item, .search-post-list > li');
+    };
+
+    var moveSelection = function (step) {
+        var $items = selectables();
+        if (!$items.length) {
+            return;
+        }
+        var index = $items.index($items.filter('.search-selected'));
+        index = index === -1 ? (step > 0 ? 0 : $items.length - 1) : (index + step + $items.length) % $items.length;
+        $items.removeClass('search-selected');
+        var item = $items.eq(index).addClass('search-selected')[0];
+        if (item.scrollIntoView) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    // '/' outside of editable fields, or Ctrl+K / Cmd+K anywhere
+    document.addEventListener('keydown', function (e) {
+        var target = e.target;
+        var editing = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+        var slash = e.key === '/' && !editing && !e.ctrlKey && !e.metaKey && !e.altKey;
+        var ctrlK = (e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'k' || e.key === 'K');
+        if (slash || ctrlK) {
+            e.preventDefault();
+            openModal();
+        }
+    });
+
+    $input.addEventListener('keydown', function (e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+            return;
+        }
+        if (e.key !== 'Enter') {
+            return;
+        }
+        var $selected = selectables().filter('.search-selected');
+        if (!$selected.length) {
+            return;
+        }
+        e.preventDefault();
+        if ($selected.hasClass('search-history-item')) {
+            $selected.trigger('click');
+            return;
+        }
+        rememberQuery($input.value);
+        window.location.href = $selected.find('a[href]').attr('href');
+    });
+
+    $($resultContent).on('click', '.search-result-title', function () {
+        rememberQuery($input.value);
+    });
+
+    $($resultContent).on('click', '.search-history-item, .search-query-link', function (e) {
+        e.preventDefault();
+        $input.value = $(this).attr('data-query');
+        $input.dispatchEvent(new Event('input'));
+        $input.focus();
+    });
+
+    $($resultContent).on('click', '.search-history-clear', function (e) {
+        e.preventDefault();
+        writeHistory([]);
+        renderEmptyState();
+        $input.focus();
+    });
+
+    renderEmptyState();
+
+    // /?q=term opens the modal prefilled; deferred so the modal is initialized first
+    var deepLink = new URLSearchParams(window.location.search).get('q');
+    if (deepLink) {
+        setTimeout(function () {
+            $input.value = deepLink;
+            openModal();
+            $input.dispatchEvent(new Event('input'));
+        }, 0);
+    }
+
+    // worker-manager.js is deferred and runs before DOMContentLoaded, where searchFunc is called;
+    // wait for the optimizer explicitly instead of relying on it being created before this runs
+    var optimizerReady = window.AdvancedPerformanceOptimizer ? AdvancedPerformanceOptimizer.ready : Promise.resolve(null);
+    var workersReady = optimizerReady.then(function (instance) {
+        optimizer = instance;
+        return optimizer ? optimizer.workerManager.ready : false;
+    });
+
+    workersReady.then(function (useWorkers) {
+        return store.load(useWorkers ? workerBuild : localBuild).then(function (cache) {
+            return { useWorkers: useWorkers, cache: cache };
+        });
+    }).then(function (loaded) {
+        engine = SearchEngine.fromJSON(loaded.cache.index);
+        var fallback = function () {
+            return localBackend(engine);
+        };
+        // fall back to the main thread when Workers are unavailable or fail;
+        // the worker skips the restore when it already holds this version
+        var backendReady = loaded.useWorkers ? optimizer.buildSearchIndex({
+            index: loaded.cache.index,
+            version: loaded.cache.version
+        }).then(function () {
+            return workerBackend;
+        }, fallback) : Promise.resolve().then(fallback);
+
+        var wrapKeyword = function (text) {
+            return "<em class=\"search-keyword\">" + text + "</em>";
+        };
+        var operatorLabels = {
+            tag: '标签',
+            category: '分类',
+            before: '早于',
+            after: '晚于',
+            phrase: '短语',
+            exclude: '排除'
+        };
+
+        // chips for the parsed filters, each one removable on its own
+        var renderChips = function (operators) {
+            if (!operators.length) {
+                return '';
+            }
+            var chips = operators.map(function (operator, i) {
+                return "<div class=\"chip search-filter-chip\" data-index=\"" + i + "\">" +
+                    operatorLabels[operator.type] + ": " + SearchEngine.escapeHtml(operator.value) +
+                    "<i class=\"close fas fa-times\" title=\"移除\"></i></div>";
+            }).join('');
+            return "<div class=\"search-filter-chips\">" + chips + "</div>";
+        };
+
+        // the post highlights the query terms plus the words that actually matched (typo and pinyin hits included)
+        var highlightUrl = function (item) {
+            var words = parsed.terms.concat(parsed.phrases);
+            var collect = function (text, hits) {
+                SearchEngine.mergeRanges(hits, 0, text.length).forEach(function (range) {
+                    words.push(text.slice(range.from, range.to));
+                });
+            };
+            collect(item.title, item.titleHits);
+            collect(item.excerpt.text, item.excerpt.hits);
+
+            var seen = {};
+            var query = words.filter(function (word) {
+                word = word.trim();
+                if (!word || word.indexOf('"') !== -1 || seen[word]) {
+                    return false;
+                }
+                seen[word] = true;
+                return true;
+            }).map(function (word) {
+                return /\s/.test(word) ? '"' + word.trim() + '"' : word.trim();
+            }).join(' ');
+            if (!query) {
+                return item.url;
+            }
+
+            var hashIndex = item.url.indexOf('#');
+            var base = hashIndex === -1 ? item.url : item.url.slice(0, hashIndex);
+            var hash = hashIndex === -1 ? '' : item.url.slice(hashIndex);
+            return base + (base.indexOf('?') === -1 ? '?' : '&') + 'highlight=' + encodeURIComponent(query) + hash;
+        };
+
+        var renderItem = function (item, number) {
+            var title = SearchEngine.highlight(toReaderScript(item.title), item.titleHits, 0, item.title.length, wrapKeyword);
+            var str = "<li><a href='" + SearchEngine.escapeHtml(highlightUrl(item)) + "' class='search-result-title'>" + String(number) + ". " + title + "</a>";
+            // matched through a typo correction or pinyin, ranked after exact matches
+            if (item.fuzzy) {
+                str += "<span class=\"search-result-fuzzy\">模糊匹配</span>";
+            }
+            // results are ranked by BM25 and link to the best matching section
+            if (item.section) {
+                str += "<span class=\"search-result-section\">" + SearchEngine.escapeHtml(toReaderScript(item.section.title)) + "</span>";
+            }
+            var excerpt = item.excerpt;
+            str += "<p class=\"search-result\">" + SearchEngine.highlight(toReaderScript(excerpt.text), excerpt.hits, 0, excerpt.text.length, wrapKeyword) + "...</p>";
+            return str + "</li>";
+        };
+
+        // nothing matched: nearby tags and titles, and the query with one part dropped at a time
+        var renderSuggestions = function (query) {
+            var suggestion = engine.suggest(parsed);
+            var drops = parsed.parts.length < 2 ? [] : parsed.parts.map(function (part, i) {
+                var rest = query.slice(0, part.index) + query.slice(part.index + part.raw.length);
+                return { index: i, raw: part.raw, total: engine.search(rest).length };
+            }).filter(function (drop) {
+                return drop.total > 0;
+            });
+
+            var html = '';
+            if (drops.length) {
+                html += "<p class=\"search-overview-header\">去掉一个条件试试</p><div class=\"search-drop-parts\">" + drops.map(function (drop) {
+                    return "<a class=\"search-drop-part\" href=\"javascript:;\" data-index=\"" + drop.index + "\">去掉 <del>" +
+                        SearchEngine.escapeHtml(drop.raw) + "</del>（" + drop.total + "条结果）</a>";
+                }).join('') + "</div>";
+            }
+            if (suggestion.tags.length) {
+                html += "<p class=\"search-overview-header\">相近的标签</p>" + renderTagChips(suggestion.tags);
+            }
+            if (suggestion.docs.length) {
+                html += "<p class=\"search-overview-header\">相近的文章</p>" + renderPostList(suggestion.docs);
+            }
+            if (html) {
+                $resultContent.insertAdjacentHTML('beforeend', "<div class=\"search-suggestions\">" + html + "</div>");
+            }
+        };
+
+        var parsed = SearchEngine.parseQuery('');
+        var zeroResultTimer = null;
+        var sequence = 0;
+        var running = false;
+        var pending = null;
+
+        // only one query runs at a time, keystrokes typed meanwhile collapse into the latest one
+        var runSearch = function (query) {
+            if (running) {
+                pending = query;
+                return;
+            }
+            running = true;
+            var id = ++sequence;
+            var count = 0;
+            var $summary;
+            var $list;
+
+            backendReady.then(function (backend) {
+                if (id !== sequence) {
                     return;
                 }
-                // perform local searching
-                var cnt = 1;
-                datas.forEach(function (data) {
-                    var isMatch = true;
-                    var content_index = [];
-                    var data_title = data.title.trim().toLowerCase();
-                    var data_content = data.content.trim().replace(/<[^>]+>/g, "").toLowerCase();
-                    var data_url = data.url;
-                    var index_title = -1;
-                    var index_content = -1;
-                    var first_occur = -1;
-                    // only match artiles with not empty titles and contents
-                    if (data_title != '' && data_content != '') {
-                        keywords.forEach(function (keyword, i) {
-                            index_title = data_title.indexOf(keyword);
-                            index_content = data_content.indexOf(keyword);
-                            if (index_title < 0 && index_content < 0) {
-                                isMatch = false;
-                            } else {
-                                if (index_content < 0) {
-                                    index_content = 0;
-                                }
-                                if (i == 0) {
-                                    first_occur = index_content;
-                                }
-                            }
-                        });
+                $resultContent.innerHTML = renderChips(parsed.operators) +
+                    "<p class=\"search-result-summary\">共找到0条结果</p><ul class=\"search-result-list\"></ul>";
+                $summary = $resultContent.querySelector('.search-result-summary');
+                $list = $resultContent.querySelector('.search-result-list');
+
+                return backend.search(query, function (batch) {
+                    if (id !== sequence) {
+                        return;
+                    }
+                    $list.insertAdjacentHTML('beforeend', batch.map(function (item) {
+                        count += 1;
+                        return renderItem(item, count);
+                    }).join(''));
+                    $summary.textContent = "共找到" + String(count) + "条结果";
+                }).then(function () {
+                    if (id !== sequence || count > 0) {
+                        return;
                     }
-                    // show search results
-                    if (isMatch) {
-                        str += "<li><a href='" + data_url + "' class='search-result-title'>" + String(cnt) + ". " + data_title + "</a>";
-                        cnt += 1;
-
-                        var content = data.content.trim().replace(/<[^>]+>/g, "");
-                        if (first_occur >= 0) {
-                            // cut out 100 characters
-                            var start = first_occur - 20;
-                            if (start < 0) {
-                                start = 0;
-                            }
-                            var match_content = content.substr(start, 100);
-                            // highlight all keywords
-                            keywords.forEach(function (keyword) {
-                                var regS = new RegExp(keyword, "gi");
-                                match_content = match_content.replace(regS, "<em class=\"search-keyword\">" + keyword + "</em>");
-                            });
-
-                            str += "<p class=\"search-result\">" + match_content + "...</p>"
+                    renderSuggestions(query);
+                    // only log a query once the reader has stopped typing on it
+                    clearTimeout(zeroResultTimer);
+                    zeroResultTimer = setTimeout(function () {
+                        if ($input.value === query) {
+                            logZeroResult(query);
                         }
-                        str += "</li>";
+                    }, 2000);
+                }).catch(function (error) {
+                    if (backend !== workerBackend) {
+                        console.error('搜索失败:', error);
+                        return;
+                    }
+                    // the worker lost its index or crashed: answer on the main thread from now on
+                    console.warn('Worker 搜索失败，改为主线程搜索:', error);
+                    backendReady = Promise.resolve().then(fallback);
+                    if (id === sequence) {
+                        pending = pending === null ? query : pending;
                     }
                 });
-                str += "</ul>";
-                str = "<p class=\"search-result-summary\">共找到" + String(cnt-1) + "条结果</p>"  + str;
-                $resultContent.innerHTML = str;
+            }).then(function () {
+                running = false;
+                if (pending !== null) {
+                    var next = pending;
+                    pending = null;
+                    runSearch(next);
+                }
             });
+        };
+
+        $input.addEventListener('input', function () {
+            if (this.value.trim().length <= 0) {
+                // drop whatever is still streaming in
+                sequence += 1;
+                pending = null;
+                renderEmptyState();
+                return;
+            }
+            // perform local searching
+            parsed = SearchEngine.parseQuery(this.value);
+            runSearch(this.value);
+        });
+
+        var removePart = function (part) {
+            if (!part) {
+                return;
+            }
+            var value = $input.value;
+            $input.value = (value.slice(0, part.index) + value.slice(part.index + part.raw.length))
+                .replace(/\s+/g, ' ').trim();
+            $input.dispatchEvent(new Event('input'));
+            $input.focus();
+        };
+
+        // removing a chip drops its operator from the query and searches again
+        $($resultContent).on('click', '.search-filter-chip .close', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            removePart(parsed.operators[Number($(this).closest('.search-filter-chip').data('index'))]);
+        });
+
+        $($resultContent).on('click', '.search-drop-part', function (e) {
+            e.preventDefault();
+            removePart(parsed.parts[Number($(this).data('index'))]);
+        });
+
+        // search whatever was typed (or deep linked) while the index was loading
+        if ($input.value.trim()) {
+            $input.dispatchEvent(new Event('input'));
+        } else {
+            renderEmptyState();
         }
+    }).catch(function (error) {
+        console.error('搜索索引加载失败:', error);
     });
 }
@@ -0,0 +1,145 @@
+/**
+ * 本地笔记列表（/notes/）
+ * 显示通过系统分享保存的笔记：标题、文字、链接和文件（图片直接预览，文本文件显示内容），可以逐条删除。
+ * 从分享跳转过来时（?shared=笔记 id）高亮刚保存的笔记。
+ */
+
+class SharedNotesPage {
+  constructor(container) {
+    this.store = SharedNotes.shared();
+    this.list = container.querySelector('#notesList');
+    this.summary = container.querySelector('.notes-summary');
+    this.objectUrls = [];
+
+    this.list.addEventListener('click', event => {
+      const button = event.target.closest('.note-remove');
+      if (button) {
+        this.store.remove(button.getAttribute('data-id')).then(() => this.render());
+      }
+    });
+
+    const params = new URLSearchParams(location.search);
+    this.render().then(() => {
+      const shared = params.get('shared');
+      const item = shared && this.list.querySelector(`[data-id="${CSS.escape(shared)}"]`);
+      if (item) {
+        item.classList.add('highlight');
+        item.scrollIntoView({ block: 'center' });
+        this.toast('已保存分享的内容');
+      }
+    });
+  }
+
+  async render() {
+    let notes;
+    try {
+      notes = await this.store.list();
+    } catch (error) {
+      this.summary.textContent = `无法读取本地笔记：${error.message}`;
+      return;
+    }
+
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+    this.summary.textContent = notes.length
+      ? `共 ${notes.length} 条笔记，只保存在这台设备上`
+      : '还没有笔记。安装本站应用后，可以从其他应用把文字、链接或图片分享到这里';
+
+    this.list.innerHTML = '';
+    notes.forEach(note => this.list.appendChild(this.renderItem(note)));
+  }
+
+  renderItem(note) {
+    const item = document.createElement('li');
+    item.className = 'note-item';
+    item.setAttribute('data-id', note.id);
+
+    const header = document.createElement('div');
+    header.className = 'note-header';
+    const title = document.createElement('b');
+    title.textContent = note.title || '无标题';
+    const time = document.createElement('span');
+    time.className = 'note-time';
+    time.textContent = new Date(note.createdAt).toLocaleString('zh-CN');
+    const remove = document.createElement('button');
+    remove.className = 'note-remove btn-flat';
+    remove.title = '删除';
+    remove.setAttribute('data-id', note.id);
+    remove.innerHTML = '<i class="fas fa-trash-alt"></i>';
+    header.appendChild(title);
+    header.appendChild(time);
+    header.appendChild(remove);
+    item.appendChild(header);
+
+    if (note.text) {
+      const text = document.createElement('p');
+      text.className = 'note-text';
+      text.textContent = note.text;
+      item.appendChild(text);
+    }
+
+    if (note.url) {
+      const link = document.createElement('a');
+      link.className = 'note-url';
+      link.href = /^https?:\/\//i.test(note.url) ? note.url : '#';
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = note.url;
+      item.appendChild(link);
+    }
+
+    (note.files || []).forEach(file => item.appendChild(this.renderFile(file)));
+    return item;
+  }
+
+  renderFile(file) {
+    const url = URL.createObjectURL(file.blob);
+    this.objectUrls.push(url);
+
+    if (/^image\//.test(file.type)) {
+      const image = document.createElement('img');
+      image.className = 'note-image responsive-img';
+      image.src = url;
+      image.alt = file.name;
+      return image;
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'note-file';
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.innerHTML = '<i class="fas fa-file-alt fa-fw"></i>';
+    link.appendChild(document.createTextNode(file.name));
+    wrapper.appendChild(link);
+
+    if (/^text\//.test(file.type) && file.size <= SharedNotesPage.TEXT_PREVIEW_SIZE) {
+      const preview = document.createElement('pre');
+      file.blob.text().then(text => { preview.textContent = text; });
+      wrapper.appendChild(preview);
+    }
+    return wrapper;
+  }
+
+  toast(html) {
+    if (typeof M !== 'undefined' && M.toast) {
+      M.toast({ html });
+    }
+  }
+}
+
+// 直接显示内容的文本文件大小上限
+SharedNotesPage.TEXT_PREVIEW_SIZE = 100 * 1024;
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SharedNotesPage;
+} else {
+  window.SharedNotesPage = SharedNotesPage;
+  document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('sharedNotes');
+    if (container) {
+      window.sharedNotesPage = new SharedNotesPage(container);
+    }
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * 本地笔记
+ * 通过系统分享（manifest.json 的 share_target）发送到本站的标题、文字、链接和文件，
+ * 由 Service Worker 接收 /share 的 POST 请求后保存在 IndexedDB，在 /notes/ 页面查看。
+ * 页面与 Service Worker 共用。
+ */
+
+class SharedNotes {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'shared-notes';
+    this.storeName = 'notes';
+    this.dbPromise = null;
+  }
+
+  static shared() {
+    if (!SharedNotes.instance) {
+      SharedNotes.instance = new SharedNotes();
+    }
+    return SharedNotes.instance;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB 不可用'));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 在一个事务中执行 run，事务完成后返回 run 所发请求的结果
+   */
+  async transaction(mode, run) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = run(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 从分享表单创建笔记，文件以 Blob 原样保存
+   * @param {FormData} form 字段名与 manifest.json 中 share_target.params 一致
+   */
+  async addFromForm(form) {
+    const field = name => String(form.get(name) || '').trim();
+    const files = form.getAll('files')
+      .filter(file => file && typeof file === 'object' && file.size > 0)
+      .map(file => ({ name: file.name, type: file.type, size: file.size, blob: file }));
+
+    // 部分应用把链接放在 text 中分享
+    let url = field('url');
+    let text = field('text');
+    if (!url && /^https?:\/\/\S+$/.test(text)) {
+      url = text;
+      text = '';
+    }
+
+    return this.add({ title: field('title'), text, url, files });
+  }
+
+  async add(note) {
+    const entry = Object.assign({ title: '', text: '', url: '', files: [] }, note, {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now()
+    });
+    await this.transaction('readwrite', store => store.put(entry));
+    return entry;
+  }
+
+  async list() {
+    const notes = (await this.transaction('readonly', store => store.getAll())) || [];
+    return notes.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  remove(id) {
+    return this.transaction('readwrite', store => store.delete(id));
+  }
+}
+
+SharedNotes.instance = null;
+
+// 导出模块（页面与 Service Worker 挂到全局，Node 中走 CommonJS）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SharedNotes;
+} else {
+  self.SharedNotes = SharedNotes;
+}
@@ -0,0 +1,513 @@
+/**
+ * Service Worker 页面端
+ * 注册 /sw.js（页面 meta fox-sw-enabled 为 false 时跳过），处理 Service Worker 发来的消息，
+ * 并提供文章离线保存、整站离线和订阅更新的接口
+ */
+
+class ServiceWorkerManager {
+  constructor() {
+    this.registration = null;
+    this.supported = 'serviceWorker' in navigator;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.supported) return;
+
+    const meta = document.querySelector('meta[name="fox-sw-enabled"]');
+    if (meta && meta.content !== 'true') return;
+
+    // 在 DOMContentLoaded 之前开始监听，导航期间排队的消息不会丢失
+    navigator.serviceWorker.addEventListener('message', event => this.handleMessage(event.data || {}));
+
+    // 不支持 Background Sync 时由其他页面发送离线评论，结果经 BroadcastChannel 转告
+    if (typeof BroadcastChannel !== 'undefined') {
+      new BroadcastChannel('comment-outbox').onmessage = event => this.handleMessage(event.data || {});
+    }
+
+    const register = () => {
+      navigator.serviceWorker.register('/sw.js')
+        .then(registration => {
+          this.registration = registration;
+          ServiceWorkerManager.watchForUpdate(registration);
+          this.resumeLibrarySync();
+        })
+        .catch(error => {
+          console.log('SW registration failed: ', error);
+        });
+    };
+
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register);
+    }
+
+    this.bindOfflineButton();
+    this.bindSubscribeButton();
+  }
+
+  /**
+   * 新版 Service Worker 安装后停在 waiting，提示用户刷新，确认后才接管页面，
+   * 避免阅读途中脚本和样式被替换。自行注册 Service Worker 的脚本（如 modern-optimizations.js）也调用这里
+   */
+  static watchForUpdate(registration) {
+    // 首次安装时页面没有控制者，新 Worker 直接激活，不需要提示
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      ServiceWorkerManager.showUpdateToast(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          ServiceWorkerManager.showUpdateToast(worker);
+        }
+      });
+    });
+  }
+
+  static showUpdateToast(worker) {
+    if (typeof M === 'undefined' || !M.toast) return;
+
+    // 同一个 Worker 被多处监听时只提示一次
+    if (ServiceWorkerManager.prompted.has(worker)) return;
+    ServiceWorkerManager.prompted.add(worker);
+
+    const toast = M.toast({
+      html: '<span>新版本可用，点击刷新</span><button class="btn-flat toast-action sw-update">刷新</button>',
+      displayLength: Infinity
+    });
+    toast.el.querySelector('.sw-update').addEventListener('click', () => {
+      toast.dismiss();
+      // 新 Worker 接管后只刷新一次
+      let refreshing = false;
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (refreshing) return;
+        refreshing = true;
+        location.reload();
+      });
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+  }
+
+  /**
+   * 向 Service Worker 发送请求并等待回复
+   */
+  async request(message, timeout = 60000) {
+    if (!this.supported) {
+      throw new Error('浏览器不支持 Service Worker');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const worker = registration.active;
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => reject(new Error('Service Worker 响应超时')), timeout);
+      channel.port1.onmessage = event => {
+        clearTimeout(timer);
+        const reply = event.data || {};
+        if (reply.ok) {
+          resolve(reply.result);
+        } else {
+          reject(new Error(reply.error || 'Service Worker 请求失败'));
+        }
+      };
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+
+  /**
+   * 收集当前页面用到的图片、样式、脚本，以及样式表中引用的字体和背景图
+   * Service Worker 只接管同源请求，跨域资源不保存
+   */
+  collectPageResources() {
+    const urls = new Set();
+    const add = value => {
+      if (!value) return;
+      try {
+        const url = new URL(value, location.href);
+        if (url.origin === location.origin) {
+          url.hash = '';
+          urls.add(url.href);
+        }
+      } catch (error) {
+        // 忽略无法解析的地址
+      }
+    };
+
+    document.querySelectorAll('img').forEach(img => {
+      add(img.getAttribute('data-src'));
+      add(img.currentSrc || img.getAttribute('src'));
+    });
+    document.querySelectorAll('link[rel~="stylesheet"][href], link[rel~="icon"][href], script[src]').forEach(el => {
+      add(el.getAttribute('href') || el.getAttribute('src'));
+    });
+    if (window.performance && performance.getEntriesByType) {
+      performance.getEntriesByType('resource')
+        .filter(entry => ['css', 'img', 'link', 'script'].indexOf(entry.initiatorType) !== -1)
+        .forEach(entry => add(entry.name));
+    }
+
+    return Array.from(urls);
+  }
+
+  /**
+   * 保存当前文章供离线阅读
+   */
+  saveForOffline() {
+    const title = (document.querySelector('.post-title') || {}).textContent || document.title;
+    return this.request({
+      type: 'OFFLINE_SAVE',
+      url: location.origin + location.pathname,
+      title: title.trim(),
+      resources: this.collectPageResources()
+    });
+  }
+
+  removeOffline(url) {
+    return this.request({ type: 'OFFLINE_REMOVE', url });
+  }
+
+  /**
+   * @returns {Promise<Array<{url: string, title: string, savedAt: number, size: number}>>}
+   */
+  listOffline() {
+    return this.request({ type: 'OFFLINE_LIST' });
+  }
+
+  /**
+   * 文章头部的“离线保存”按钮
+   */
+  bindOfflineButton() {
+    const button = document.querySelector('.offline-save-btn');
+    if (!button) return;
+
+    if (!this.supported) {
+      button.parentNode.style.display = 'none';
+      return;
+    }
+
+    const label = button.querySelector('.offline-save-label');
+    const setLabel = text => { label.textContent = text; };
+    const pageUrl = location.origin + location.pathname;
+
+    this.listOffline()
+      .then(posts => {
+        if (posts.some(post => post.url === pageUrl)) {
+          setLabel('已离线保存');
+        }
+      })
+      .catch(() => {});
+
+    button.addEventListener('click', () => {
+      if (button.classList.contains('saving')) return;
+
+      button.classList.add('saving');
+      setLabel('正在保存...');
+      this.saveForOffline()
+        .then(post => {
+          setLabel('已离线保存');
+          this.toast(`已保存到离线阅读（${ServiceWorkerManager.formatSize(post.size)}）` +
+            '<a class="btn-flat toast-action" href="/offline/">查看</a>');
+        })
+        .catch(error => {
+          setLabel('离线保存');
+          this.toast(`离线保存失败：${error.message}`);
+        })
+        .then(() => button.classList.remove('saving'));
+    });
+  }
+
+  /**
+   * 整站离线状态
+   * @returns {Promise<{enabled: boolean, state: string, done: number, total: number, bytes: number, reason: string, syncedAt: number}>}
+   */
+  libraryStatus() {
+    return this.request({ type: 'LIBRARY_STATUS' });
+  }
+
+  setLibraryEnabled(enabled) {
+    return this.request({ type: 'LIBRARY_ENABLE', enabled });
+  }
+
+  syncLibrary(force = true) {
+    return this.request({ type: 'LIBRARY_SYNC', force });
+  }
+
+  /**
+   * 打开页面时检查整站离线是否需要增量同步（由 Service Worker 按间隔决定），
+   * 网络从按流量计费切换到其他网络时继续暂停的同步
+   */
+  resumeLibrarySync() {
+    if (!navigator.serviceWorker.controller) return;
+
+    const sync = () => this.syncLibrary(false).catch(() => {});
+    sync();
+    if (navigator.connection && navigator.connection.addEventListener) {
+      navigator.connection.addEventListener('change', sync);
+    }
+  }
+
+  /**
+   * 推送服务地址：meta fox-push-endpoint 优先，本地预览时使用 tools/push-server.js
+   */
+  static pushEndpoint() {
+    const meta = document.querySelector('meta[name="fox-push-endpoint"]');
+    if (meta && meta.content) {
+      return meta.content.replace(/\/+$/, '');
+    }
+    if (/^(localhost|127\.0\.0\.1)$/.test(location.hostname)) {
+      return ServiceWorkerManager.DEV_PUSH_ENDPOINT;
+    }
+    return ServiceWorkerManager.PUSH_ENDPOINT;
+  }
+
+  /**
+   * 订阅更新的方式：推送（已配置推送服务）和定期后台同步（已安装的应用）
+   */
+  updateChannels(registration) {
+    return {
+      push: Boolean(ServiceWorkerManager.pushEndpoint() && registration.pushManager),
+      periodic: 'periodicSync' in registration
+    };
+  }
+
+  /**
+   * @returns {Promise<boolean>} 是否已订阅
+   */
+  async isSubscribed() {
+    const registration = await navigator.serviceWorker.ready;
+    const channels = this.updateChannels(registration);
+    if (channels.push && await registration.pushManager.getSubscription()) {
+      return true;
+    }
+    if (channels.periodic) {
+      const tags = await registration.periodicSync.getTags();
+      return tags.indexOf(ServiceWorkerManager.FEED_SYNC_TAG) !== -1;
+    }
+    return false;
+  }
+
+  /**
+   * 请求通知权限，向推送服务登记订阅，并注册定期检查 atom.xml；至少一种方式成功即视为订阅成功
+   */
+  async subscribeUpdates() {
+    if (await Notification.requestPermission() !== 'granted') {
+      throw new Error('未允许通知');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const channels = this.updateChannels(registration);
+    const errors = [];
+
+    if (channels.push) {
+      try {
+        const endpoint = ServiceWorkerManager.pushEndpoint();
+        const { publicKey } = await (await fetch(`${endpoint}/key`)).json();
+        const subscription = await registration.pushManager.getSubscription() ||
+          await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: ServiceWorkerManager.base64ToBytes(publicKey)
+          });
+        const response = await fetch(`${endpoint}/subscribe`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(subscription)
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    if (channels.periodic) {
+      try {
+        await registration.periodicSync.register(ServiceWorkerManager.FEED_SYNC_TAG, {
+          minInterval: ServiceWorkerManager.FEED_SYNC_INTERVAL
+        });
+      } catch (error) {
+        // 未安装为应用时浏览器拒绝注册
+        errors.push(error);
+      }
+    }
+
+    const attempted = Number(channels.push) + Number(channels.periodic);
+    if (!attempted || errors.length === attempted) {
+      throw errors[0] || new Error('当前浏览器不支持订阅更新');
+    }
+
+    // 记录现有文章，之后只通知新发布的
+    await this.request({ type: 'FEED_SEED' }).catch(() => {});
+  }
+
+  async unsubscribeUpdates() {
+    const registration = await navigator.serviceWorker.ready;
+    const channels = this.updateChannels(registration);
+
+    if (channels.push) {
+      const subscription = await registration.pushManager.getSubscription();
+      if (subscription) {
+        await fetch(`${ServiceWorkerManager.pushEndpoint()}/unsubscribe`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: subscription.endpoint })
+        }).catch(() => {});
+        await subscription.unsubscribe();
+      }
+    }
+    if (channels.periodic) {
+      await registration.periodicSync.unregister(ServiceWorkerManager.FEED_SYNC_TAG);
+    }
+  }
+
+  /**
+   * 页脚的“订阅更新”按钮，浏览器不支持通知或没有可用的订阅方式时保持隐藏
+   */
+  async bindSubscribeButton() {
+    const button = document.querySelector('.subscribe-updates');
+    if (!button || !('Notification' in window)) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    const channels = this.updateChannels(registration);
+    if (!channels.push && !channels.periodic) return;
+
+    const setState = subscribed => {
+      button.classList.toggle('subscribed', subscribed);
+      button.setAttribute('data-tooltip', subscribed ? '已订阅更新，点击取消' : '订阅更新');
+      button.setAttribute('aria-label', button.getAttribute('data-tooltip'));
+    };
+    setState(await this.isSubscribed().catch(() => false));
+    button.style.display = '';
+
+    button.addEventListener('click', async event => {
+      event.preventDefault();
+      if (button.classList.contains('busy')) return;
+
+      button.classList.add('busy');
+      const subscribed = button.classList.contains('subscribed');
+      try {
+        if (subscribed) {
+          await this.unsubscribeUpdates();
+          this.toast('已取消订阅更新');
+        } else {
+          await this.subscribeUpdates();
+          this.toast('已订阅更新，有新文章时会通知你');
+        }
+        setState(!subscribed);
+      } catch (error) {
+        this.toast(`${subscribed ? '取消订阅' : '订阅'}失败：${error.message}`);
+      }
+      button.classList.remove('busy');
+    });
+  }
+
+  /**
+   * base64url 编码的 VAPID 公钥转为 pushManager.subscribe 需要的字节数组
+   */
+  static base64ToBytes(text) {
+    const base64 = (text + '='.repeat((4 - text.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  toast(html) {
+    if (typeof M !== 'undefined' && M.toast) {
+      M.toast({ html });
+    }
+  }
+
+  static formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  /**
+   * 处理 Service Worker 消息
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'CONTENT_UPDATED':
+        if (this.isCurrentPage(message.url)) {
+          this.showUpdatedToast();
+        }
+        break;
+      case 'COMMENT_SENT':
+      case 'COMMENT_FAILED':
+        this.showCommentToast(message);
+        document.dispatchEvent(new CustomEvent('comment-outbox-change', { detail: message }));
+        break;
+      case 'LIBRARY_PROGRESS':
+        document.dispatchEvent(new CustomEvent('library-progress', { detail: message }));
+        break;
+      default:
+        break;
+    }
+  }
+
+  isCurrentPage(url) {
+    try {
+      return new URL(url, location.href).pathname === location.pathname;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 离线评论的发送结果，评论所在的文章不是当前页面时附上链接
+   */
+  showCommentToast(message) {
+    const link = this.isCurrentPage(message.url) ? ''
+      : `<a class="btn-flat toast-action" href="${encodeURI(message.url)}#tcomment">查看</a>`;
+    if (message.type === 'COMMENT_SENT') {
+      this.toast(`离线时保存的评论已发送${link}`);
+    } else {
+      const reason = String(message.message || '').replace(/[<>&"]/g, char => `&#${char.charCodeAt(0)};`);
+      this.toast(`离线评论发送失败：${reason}${link}`);
+    }
+  }
+
+  /**
+   * 当前显示的是缓存中的旧版文章，后台已取得新版本
+   */
+  showUpdatedToast() {
+    if (typeof M === 'undefined' || !M.toast) return;
+
+    const toast = M.toast({
+      html: '<span>这篇文章已更新</span><button class="btn-flat toast-action sw-reload">刷新</button>',
+      displayLength: 10000
+    });
+    const button = toast.el.querySelector('.sw-reload');
+    if (button) {
+      button.addEventListener('click', () => location.reload());
+    }
+  }
+}
+
+// 已提示过刷新的 Service Worker
+ServiceWorkerManager.prompted = new WeakSet();
+
+// 推送服务地址，为空时只使用定期后台同步；可由页面 meta fox-push-endpoint 覆盖
+ServiceWorkerManager.PUSH_ENDPOINT = '';
+
+// 本地预览时的推送服务（node tools/push-server.js）
+ServiceWorkerManager.DEV_PUSH_ENDPOINT = 'http://localhost:8787';
+
+// 与 sw.js 的 FEED_SYNC_TAG 一致
+ServiceWorkerManager.FEED_SYNC_TAG = 'new-posts';
+
+// 定期检查新文章的最小间隔，实际频率由浏览器按使用情况决定
+ServiceWorkerManager.FEED_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ServiceWorkerManager;
+} else {
+  window.ServiceWorkerManager = ServiceWorkerManager;
+  window.swManager = new ServiceWorkerManager();
+}
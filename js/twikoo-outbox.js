@@ -0,0 +1,283 @@
+/**
+ * Twikoo 离线评论
+ * 离线时点击发送的评论存入 CommentOutbox，在评论区上方显示为“待发送”，联网后自动发送：
+ * 支持 Background Sync 时交给 Service Worker，否则在 online 事件中由页面发送。
+ * Twikoo 脚本未能加载时（离线打开页面）提供一个简易评论表单。
+ */
+
+class TwikooOutbox {
+  constructor(container) {
+    this.container = container;
+    this.outbox = CommentOutbox.shared();
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('comment-outbox') : null;
+
+    this.list = document.createElement('ul');
+    this.list.className = 'comment-outbox';
+    container.parentNode.insertBefore(this.list, container);
+
+    // 捕获阶段拦截 Twikoo 的发送按钮，离线时不交给 Twikoo
+    container.addEventListener('click', event => {
+      const button = event.target.closest('.tk-send');
+      if (button && !navigator.onLine) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.captureTwikoo(button.closest('.tk-submit'));
+      }
+    }, true);
+
+    this.list.addEventListener('click', event => {
+      const item = event.target.closest('.comment-outbox-item');
+      if (!item) return;
+      const id = item.getAttribute('data-id');
+      if (event.target.closest('.comment-outbox-retry')) {
+        this.outbox.retry(id).then(() => this.schedule());
+      } else if (event.target.closest('.comment-outbox-remove')) {
+        this.outbox.remove(id).then(() => this.render());
+      }
+    });
+
+    document.addEventListener('comment-outbox-change', () => this.render());
+    window.addEventListener('online', () => {
+      this.removeFallbackForm();
+      if (!TwikooOutbox.backgroundSyncSupported()) {
+        this.flush();
+      }
+    });
+    window.addEventListener('offline', () => this.renderFallbackForm());
+
+    this.render();
+    this.renderFallbackForm();
+    // 上次离线时留下的评论
+    this.outbox.list()
+      .then(entries => entries.some(entry => entry.status !== CommentOutbox.STATUS.failed) && this.schedule())
+      .catch(() => {});
+  }
+
+  static backgroundSyncSupported() {
+    return 'serviceWorker' in navigator && 'SyncManager' in window && !!navigator.serviceWorker.controller;
+  }
+
+  /**
+   * Twikoo 接口地址，与 TwikooSilentLoader 使用的 envId 一致
+   */
+  static endpoint() {
+    const envId = window.twikooSilentLoader ? window.twikooSilentLoader.envId : '';
+    return /^https?:\/\//.test(envId) ? envId : `https://${envId}`;
+  }
+
+  /**
+   * 从 Twikoo 的评论框读取内容；回复框位于被回复评论内，pid 为直接上级，rid 为最外层评论
+   */
+  captureTwikoo(submit) {
+    if (!submit) return;
+
+    const field = name => {
+      const input = submit.querySelector(`input[name="${name}"]`);
+      return input ? input.value.trim() : '';
+    };
+    const textarea = submit.querySelector('textarea');
+    const threads = [];
+    for (let node = submit.parentElement; node && node !== this.container; node = node.parentElement) {
+      if (node.classList.contains('tk-comment') && node.id) {
+        threads.push(node.id);
+      }
+    }
+
+    this.capture({
+      nick: field('nick'),
+      mail: field('mail'),
+      link: field('link'),
+      comment: textarea ? textarea.value.trim() : '',
+      pid: threads[0] || '',
+      rid: threads[threads.length - 1] || ''
+    }).then(saved => {
+      if (saved && textarea) {
+        // 通知 Twikoo 的输入框内容已清空
+        textarea.value = '';
+        textarea.dispatchEvent(new Event('input'));
+      }
+    });
+  }
+
+  async capture(fields) {
+    if (!fields.comment) {
+      this.toast('评论内容不能为空');
+      return false;
+    }
+
+    try {
+      await this.outbox.add(Object.assign(fields, {
+        endpoint: TwikooOutbox.endpoint(),
+        url: location.pathname,
+        href: location.href,
+        ua: navigator.userAgent,
+        accessToken: localStorage.getItem('twikoo-access-token') || ''
+      }));
+    } catch (error) {
+      this.toast(`评论保存失败：${error.message}`);
+      return false;
+    }
+
+    this.toast('当前处于离线状态，评论已保存，联网后自动发送');
+    this.render();
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * 安排发送：优先注册 Background Sync，不支持时在线则立即发送，离线则等待 online 事件
+   */
+  schedule() {
+    if (TwikooOutbox.backgroundSyncSupported()) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.sync.register(CommentOutbox.SYNC_TAG))
+        .catch(() => navigator.onLine && this.flush());
+    } else if (navigator.onLine) {
+      this.flush();
+    }
+  }
+
+  async flush() {
+    try {
+      await this.outbox.flush(message => this.report(message));
+    } catch (error) {
+      console.log('离线评论发送失败，联网后重试:', error.message);
+    }
+    this.render();
+  }
+
+  /**
+   * 与 Service Worker 发送时一样，把结果通知到所有打开的页面
+   */
+  report(message) {
+    if (window.swManager) {
+      window.swManager.handleMessage(message);
+    }
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+
+  async render() {
+    let entries = [];
+    try {
+      entries = await this.outbox.list(location.pathname);
+    } catch (error) {
+      return;
+    }
+
+    this.list.innerHTML = '';
+    entries.forEach(entry => this.list.appendChild(this.renderItem(entry)));
+  }
+
+  renderItem(entry) {
+    const item = document.createElement('li');
+    item.className = `comment-outbox-item ${entry.status}`;
+    item.setAttribute('data-id', entry.id);
+
+    const header = document.createElement('div');
+    header.className = 'comment-outbox-header';
+    const nick = document.createElement('b');
+    nick.textContent = entry.nick || '匿名';
+    const status = document.createElement('span');
+    status.className = 'comment-outbox-status';
+    status.textContent = TwikooOutbox.STATUS_TEXT[entry.status] +
+      (entry.status === CommentOutbox.STATUS.failed && entry.error ? `：${entry.error}` : '');
+    header.appendChild(nick);
+    header.appendChild(status);
+
+    const body = document.createElement('p');
+    body.className = 'comment-outbox-body';
+    body.textContent = entry.comment;
+
+    const actions = document.createElement('div');
+    actions.className = 'comment-outbox-actions';
+    if (entry.status === CommentOutbox.STATUS.failed) {
+      actions.innerHTML = '<a class="comment-outbox-retry">重试</a>';
+    }
+    actions.insertAdjacentHTML('beforeend', '<a class="comment-outbox-remove">删除</a>');
+
+    item.appendChild(header);
+    item.appendChild(body);
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * 离线且 Twikoo 评论框没有加载出来时显示的简易表单，昵称和邮箱沿用 Twikoo 保存的信息
+   */
+  renderFallbackForm() {
+    if (navigator.onLine || this.form || this.container.querySelector('.tk-submit')) return;
+
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('twikoo')) || {};
+    } catch (error) {
+      // 忽略
+    }
+
+    this.form = document.createElement('form');
+    this.form.className = 'comment-outbox-form';
+    this.form.innerHTML =
+      '<p class="comment-outbox-hint">当前处于离线状态，评论将在联网后自动发送</p>' +
+      '<div class="comment-outbox-meta">' +
+      '<input name="nick" placeholder="昵称" maxlength="50">' +
+      '<input name="mail" type="email" placeholder="邮箱" maxlength="100">' +
+      '<input name="link" placeholder="网址" maxlength="200">' +
+      '</div>' +
+      '<textarea name="comment" class="materialize-textarea" placeholder="写下你的评论"></textarea>' +
+      '<button type="submit" class="btn-small">保存评论</button>';
+    ['nick', 'mail', 'link'].forEach(name => {
+      this.form.elements[name].value = saved[name] || '';
+    });
+
+    this.form.addEventListener('submit', event => {
+      event.preventDefault();
+      const value = name => this.form.elements[name].value.trim();
+      this.capture({
+        nick: value('nick'),
+        mail: value('mail'),
+        link: value('link'),
+        comment: value('comment'),
+        pid: '',
+        rid: ''
+      }).then(saved => {
+        if (saved) {
+          this.form.elements.comment.value = '';
+        }
+      });
+    });
+
+    this.list.parentNode.insertBefore(this.form, this.list);
+  }
+
+  removeFallbackForm() {
+    if (this.form) {
+      this.form.remove();
+      this.form = null;
+    }
+  }
+
+  toast(html) {
+    if (typeof M !== 'undefined' && M.toast) {
+      M.toast({ html });
+    }
+  }
+}
+
+TwikooOutbox.STATUS_TEXT = {
+  pending: '待发送',
+  sending: '发送中',
+  failed: '发送失败'
+};
+
+// 导出模块（如果需要）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TwikooOutbox;
+} else {
+  window.TwikooOutbox = TwikooOutbox;
+  const container = document.getElementById('tcomment');
+  if (container) {
+    window.twikooOutbox = new TwikooOutbox(container);
+  }
+}
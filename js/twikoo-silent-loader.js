@@ -8,13 +8,9 @@ class TwikooSilentLoader {
     this.retryCount = 0;
     this.retryDelay = 2000; // 初始重试延迟
     this.maxRetryDelay = 30000; // 最大重试延迟
-    this.cdnUrls = [
-      'https://cdn.jsdelivr.net/npm/twikoo@1.6.42/dist/twikoo.all.min.js',
-      'https://unpkg.com/twikoo@1.6.42/dist/twikoo.all.min.js',
-      'https://cdn.bootcdn.net/ajax/libs/twikoo/1.6.42/twikoo.all.min.js',
-      'https://fastly.jsdelivr.net/npm/twikoo@1.6.42/dist/twikoo.all.min.js'
-    ];
+    this.cdnUrls = TwikooSilentLoader.CDN_URLS.slice();
     this.currentCdnIndex = 0;
+    this.envId = 'super-gelato-2c17f4.netlify.app'; // 离线评论（twikoo-outbox.js）也使用此地址
     this.isLoading = false;
     this.loadSuccess = false;
     
@@ -117,7 +113,7 @@ class TwikooSilentLoader {
     }
 
     const config = {
-      envId: 'super-gelato-2c17f4.netlify.app',
+      envId: this.envId,
       el: '#tcomment',
       path: window.location.pathname,
       lang: 'zh-CN'
@@ -128,7 +124,7 @@ class TwikooSilentLoader {
     } catch (error) {
       // 尝试备用配置
       console.log('🔄 尝试备用配置...');
-      config.envId = 'super-gelato-2c17f4.netlify.app';
+      config.envId = this.envId;
       await window.twikoo.init(config);
     }
   }
@@ -152,8 +148,18 @@ class TwikooSilentLoader {
   }
 }
 
-// 全局初始化
-window.twikooSilentLoader = new TwikooSilentLoader();
+// 同一版本 Twikoo 在各 CDN 上的地址，按优先级排列；sw.js 也导入此列表作为镜像
+TwikooSilentLoader.CDN_URLS = [
+  'https://cdn.jsdelivr.net/npm/twikoo@1.6.42/dist/twikoo.all.min.js',
+  'https://unpkg.com/twikoo@1.6.42/dist/twikoo.all.min.js',
+  'https://cdn.bootcdn.net/ajax/libs/twikoo/1.6.42/twikoo.all.min.js',
+  'https://fastly.jsdelivr.net/npm/twikoo@1.6.42/dist/twikoo.all.min.js'
+];
+
+// 全局初始化（Service Worker 中只使用镜像列表）
+if (typeof window !== 'undefined') {
+  window.twikooSilentLoader = new TwikooSilentLoader();
+}
 
 // 导出给其他模块使用
 if (typeof module !== 'undefined' && module.exports) {
@@ -1,83 +1,141 @@
 /**
  * Web Worker 管理器
  * 统一管理和调度Web Workers，优化性能
+ * Worker 池按需伸缩：初始为空，有任务排队且没有空闲 Worker 时创建，总数不超过 maxWorkers；
+ * 空闲超过 idleTimeout 的 Worker 被终止。Worker 崩溃时执行中的任务重新排队（最多 maxRetries 次），
+ * 由新创建的 Worker 接手
  */
 
 class WorkerManager {
-  constructor() {
-    this.workers = new Map();
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxWorkers] Worker 数量上限，默认为 CPU 核数
+   * @param {number} [options.idleTimeout] 空闲多久后终止 Worker（毫秒）
+   * @param {number} [options.maxRetries] Worker 崩溃后任务最多重新执行的次数
+   */
+  constructor(options = {}) {
     this.taskQueue = [];
     this.activeJobs = new Map();
-    this.maxWorkers = navigator.hardwareConcurrency || 4;
+    this.maxWorkers = options.maxWorkers || navigator.hardwareConcurrency || 4;
+    this.idleTimeout = options.idleTimeout || WorkerManager.IDLE_TIMEOUT;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : WorkerManager.MAX_RETRIES;
     this.workerPool = [];
+    // 正在启动、尚未就绪的 Worker 数量
+    this.spawning = 0;
+    this.workerSeq = 0;
+    // 亲和键 -> Worker ID，需要 Worker 内状态的任务（如搜索索引）固定在同一个 Worker 上执行
+    this.affinities = new Map();
     this.initialized = false;
     
-    this.init();
+    // 初始化完成后 resolve 为是否可用
+    this.ready = this.init();
   }
   
   /**
    * 初始化Worker管理器
+   * 不预先创建 Worker，第一个任务到来时再创建
    */
   async init() {
+    // 检测Worker支持
+    if (!window.Worker) {
+      console.warn('⚠️ Web Workers 不被支持');
+      return false;
+    }
+    
+    // 监听页面卸载，清理Workers
+    window.addEventListener('beforeunload', () => {
+      this.cleanup();
+    });
+    
+    this.initialized = true;
+    console.log('✅ Worker管理器初始化完成');
+    return true;
+  }
+  
+  /**
+   * 创建一个 Worker，就绪后加入池中并继续处理队列
+   */
+  spawnWorker() {
+    const workerId = `worker_${++this.workerSeq}`;
+    let worker;
     try {
-      // 检测Worker支持
-      if (!window.Worker) {
-        console.warn('⚠️ Web Workers 不被支持');
-        return;
-      }
-      
-      // 创建Worker池
-      await this.createWorkerPool();
-      
-      // 监听页面卸载，清理Workers
-      window.addEventListener('beforeunload', () => {
-        this.cleanup();
-      });
-      
-      this.initialized = true;
-      console.log('✅ Worker管理器初始化完成');
-      
+      worker = new Worker(WorkerManager.WORKER_SCRIPT);
     } catch (error) {
-      console.error('❌ Worker管理器初始化失败:', error);
+      this.handleSpawnFailure(workerId, error);
+      return;
     }
+    
+    // 配置Worker
+    worker.onmessage = (event) => {
+      this.handleWorkerMessage(workerId, event);
+    };
+    
+    worker.onerror = (error) => {
+      this.handleWorkerError(workerId, error);
+    };
+    
+    this.spawning++;
+    this.waitForWorkerReady(worker).then(() => {
+      this.spawning--;
+      const workerInfo = {
+        id: workerId,
+        worker,
+        busy: false,
+        tasks: 0,
+        idleTimer: null
+      };
+      this.workerPool.push(workerInfo);
+      console.log(`🔧 创建了 Worker ${workerId}（共 ${this.workerPool.length} 个）`);
+      
+      this.processQueue();
+      this.scheduleIdleShutdown(workerInfo);
+    }, error => {
+      this.spawning--;
+      worker.terminate();
+      this.handleSpawnFailure(workerId, error);
+    });
   }
   
   /**
-   * 创建Worker池
+   * Worker 启动失败；没有其他可用或正在启动的 Worker 时，排队的任务全部失败，避免一直等待
    */
-  async createWorkerPool() {
-    const workerScript = '/js/performance-worker.js';
+  handleSpawnFailure(workerId, error) {
+    console.warn(`Worker ${workerId} 创建失败:`, error);
     
-    for (let i = 0; i < this.maxWorkers; i++) {
-      try {
-        const worker = new Worker(workerScript);
-        const workerId = `worker_${i}`;
-        
-        // 配置Worker
-        worker.onmessage = (event) => {
-          this.handleWorkerMessage(workerId, event);
-        };
-        
-        worker.onerror = (error) => {
-          this.handleWorkerError(workerId, error);
-        };
-        
-        // 等待Worker就绪
-        await this.waitForWorkerReady(worker);
-        
-        this.workerPool.push({
-          id: workerId,
-          worker,
-          busy: false,
-          tasks: 0
-        });
-        
-      } catch (error) {
-        console.warn(`Worker ${i} 创建失败:`, error);
-      }
-    }
+    if (this.workerPool.length || this.spawning) return;
+    
+    const queued = this.taskQueue.splice(0);
+    queued.forEach(task => task.reject(new Error(`Worker 创建失败: ${error.message || error}`)));
+  }
+  
+  /**
+   * 空闲超时后终止 Worker；持有亲和状态（如搜索索引）的 Worker 保留
+   */
+  scheduleIdleShutdown(workerInfo) {
+    clearTimeout(workerInfo.idleTimer);
+    if (workerInfo.busy || this.isPinned(workerInfo.id) || this.workerPool.indexOf(workerInfo) === -1) return;
     
-    console.log(`🔧 创建了 ${this.workerPool.length} 个Workers`);
+    workerInfo.idleTimer = setTimeout(() => {
+      if (workerInfo.busy || this.isPinned(workerInfo.id) || !this.removeWorker(workerInfo.id)) return;
+      console.log(`💤 Worker ${workerInfo.id} 空闲已终止（剩余 ${this.workerPool.length} 个）`);
+    }, this.idleTimeout);
+  }
+  
+  isPinned(workerId) {
+    return Array.from(this.affinities.values()).indexOf(workerId) !== -1;
+  }
+  
+  /**
+   * 终止 Worker 并从池中移除
+   */
+  removeWorker(workerId) {
+    const index = this.workerPool.findIndex(w => w.id === workerId);
+    if (index === -1) return null;
+    
+    const [workerInfo] = this.workerPool.splice(index, 1);
+    clearTimeout(workerInfo.idleTimer);
+    workerInfo.worker.terminate();
+    return workerInfo;
   }
   
   /**
@@ -93,22 +151,43 @@ class WorkerManager {
         if (event.data.type === 'WORKER_READY') {
           clearTimeout(timeout);
           worker.removeEventListener('message', messageHandler);
+          worker.removeEventListener('error', errorHandler);
           resolve();
         }
       };
       
+      // 脚本加载或执行失败
+      const errorHandler = (event) => {
+        clearTimeout(timeout);
+        worker.removeEventListener('message', messageHandler);
+        worker.removeEventListener('error', errorHandler);
+        reject(new Error(event.message || 'Worker启动失败'));
+      };
+      
       worker.addEventListener('message', messageHandler);
+      worker.addEventListener('error', errorHandler);
     });
   }
   
   /**
    * 执行任务
+   * @param {Object} options
+   * @param {string} [options.affinity] 亲和键，相同键的任务总在同一个 Worker 上执行
+   * @param {Function} [options.onPartial] 接收 Worker 流式返回的中间结果
+   * @param {Function} [options.onProgress] 接收进度 { done, total }
+   * @param {AbortSignal} [options.signal] 取消任务：排队中的任务直接移除，执行中的任务通知 Worker 停止，
+   *   Promise 以 signal.reason（默认为 AbortError）拒绝
    */
   async executeTask(type, data, options = {}) {
     if (!this.initialized) {
       throw new Error('Worker管理器未初始化');
     }
     
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw WorkerManager.abortReason(signal);
+    }
+    
     const taskId = this.generateTaskId();
     const priority = options.priority || 'normal';
     const timeout = options.timeout || 30000;
@@ -120,11 +199,28 @@ class WorkerManager {
         data,
         priority,
         timeout,
+        affinity: options.affinity || null,
+        onPartial: options.onPartial || null,
+        onProgress: options.onProgress || null,
         resolve,
         reject,
         createdAt: Date.now()
       };
       
+      if (signal) {
+        const onAbort = () => this.cancelTask(taskId, WorkerManager.abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        // 任务结束后移除监听，长期存在的 signal 不会累积回调
+        task.resolve = value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        };
+        task.reject = error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        };
+      }
+      
       // 添加到任务队列
       this.addToQueue(task);
       
@@ -133,6 +229,37 @@ class WorkerManager {
     });
   }
   
+  static abortReason(signal) {
+    return signal.reason || new DOMException('任务已取消', 'AbortError');
+  }
+  
+  /**
+   * 取消任务
+   * 执行中的任务由 Worker 在下一个检查点停止，Worker 回复前保持占用；
+   * 超过 CANCEL_GRACE 仍未回复（任务没有检查点）时不再等待，释放 Worker
+   */
+  cancelTask(taskId, reason) {
+    const queued = this.taskQueue.findIndex(task => task.id === taskId);
+    if (queued !== -1) {
+      const [task] = this.taskQueue.splice(queued, 1);
+      task.reject(reason);
+      return;
+    }
+    
+    const job = this.activeJobs.get(taskId);
+    if (!job || job.cancelled) return;
+    
+    job.cancelled = true;
+    job.task.reject(reason);
+    job.worker.worker.postMessage({ type: 'CANCEL', taskId });
+    
+    clearTimeout(job.timeoutId);
+    job.timeoutId = setTimeout(() => {
+      this.cleanupJob(taskId);
+      this.processQueue();
+    }, WorkerManager.CANCEL_GRACE);
+  }
+  
   /**
    * 添加任务到队列
    */
@@ -147,25 +274,57 @@ class WorkerManager {
   
   /**
    * 处理任务队列
+   * 没有空闲 Worker 的任务按需创建 Worker，总数（含正在启动的）不超过 maxWorkers
    */
   processQueue() {
-    while (this.taskQueue.length > 0) {
-      const availableWorker = this.getAvailableWorker();
+    let index = 0;
+    let waiting = 0;
+    
+    // 绑定了亲和Worker的任务可能需要等待，不阻塞排在后面的其他任务
+    while (index < this.taskQueue.length) {
+      const task = this.taskQueue[index];
+      const availableWorker = this.getAvailableWorker(task);
       
       if (!availableWorker) {
-        break; // 没有可用Worker
+        // 等待已绑定的 Worker 空闲的任务不需要新 Worker
+        if (!task.affinity || !this.affinities.has(task.affinity)) {
+          waiting++;
+        }
+        index++;
+        continue;
       }
       
-      const task = this.taskQueue.shift();
+      this.taskQueue.splice(index, 1);
       this.assignTaskToWorker(task, availableWorker);
     }
+    
+    const capacity = this.maxWorkers - this.workerPool.length - this.spawning;
+    const needed = Math.min(waiting - this.spawning, capacity);
+    for (let i = 0; i < needed; i++) {
+      this.spawnWorker();
+    }
   }
   
   /**
    * 获取可用Worker
    */
-  getAvailableWorker() {
-    return this.workerPool.find(worker => !worker.busy);
+  getAvailableWorker(task = {}) {
+    const pinnedId = task.affinity && this.affinities.get(task.affinity);
+    
+    if (pinnedId) {
+      const pinned = this.workerPool.find(worker => worker.id === pinnedId);
+      if (pinned) {
+        return pinned.busy ? null : pinned;
+      }
+      // 绑定的Worker已被重启，重新分配
+      this.affinities.delete(task.affinity);
+    }
+    
+    const worker = this.workerPool.find(worker => !worker.busy);
+    if (worker && task.affinity) {
+      this.affinities.set(task.affinity, worker.id);
+    }
+    return worker;
   }
   
   /**
@@ -174,6 +333,7 @@ class WorkerManager {
   assignTaskToWorker(task, workerInfo) {
     workerInfo.busy = true;
     workerInfo.tasks++;
+    clearTimeout(workerInfo.idleTimer);
     
     // 设置超时
     const timeoutId = setTimeout(() => {
@@ -206,19 +366,33 @@ class WorkerManager {
       return; // 已在初始化时处理
     }
     
+    // 已终止的 Worker 在终止前发出、尚未送达的消息
+    if (!this.workerPool.some(w => w.id === workerId)) {
+      return;
+    }
+    
     const job = this.activeJobs.get(taskId);
     if (!job) {
       console.warn(`未找到任务: ${taskId}`);
       return;
     }
     
+    // 流式中间结果和进度，任务仍在执行；已取消的任务不再回调
+    if (type === 'PARTIAL' || type === 'PROGRESS') {
+      const callback = type === 'PARTIAL' ? job.task.onPartial : job.task.onProgress;
+      if (callback && !job.cancelled) {
+        callback(type === 'PARTIAL' ? result : event.data.progress);
+      }
+      return;
+    }
+    
     // 清理任务
     this.cleanupJob(taskId);
     
-    // 处理结果
-    if (type === 'SUCCESS') {
+    // 处理结果；已取消的任务在取消时已经拒绝，这里只释放 Worker
+    if (type === 'SUCCESS' && !job.cancelled) {
       job.task.resolve(result);
-    } else if (type === 'ERROR') {
+    } else if (type === 'ERROR' && !job.cancelled) {
       job.task.reject(new Error(error));
     }
     
@@ -228,54 +402,38 @@ class WorkerManager {
   
   /**
    * 处理Worker错误
+   * 出错的 Worker 状态不可靠，直接终止；执行中的任务重新排队，超过 maxRetries 次后失败。
+   * 重新排队的任务触发 processQueue 按需创建新 Worker
    */
   handleWorkerError(workerId, error) {
     console.error(`Worker ${workerId} 错误:`, error);
     
-    // 找到并重启出错的Worker
-    const workerIndex = this.workerPool.findIndex(w => w.id === workerId);
-    if (workerIndex !== -1) {
-      this.restartWorker(workerIndex);
-    }
-  }
-  
-  /**
-   * 重启Worker
-   */
-  async restartWorker(index) {
-    const oldWorker = this.workerPool[index];
+    if (!this.removeWorker(workerId)) return;
     
-    try {
-      // 终止旧Worker
-      oldWorker.worker.terminate();
-      
-      // 创建新Worker
-      const worker = new Worker('/js/performance-worker.js');
-      const workerId = `worker_${index}_restart_${Date.now()}`;
-      
-      worker.onmessage = (event) => {
-        this.handleWorkerMessage(workerId, event);
-      };
-      
-      worker.onerror = (error) => {
-        this.handleWorkerError(workerId, error);
-      };
-      
-      await this.waitForWorkerReady(worker);
-      
-      // 替换Worker
-      this.workerPool[index] = {
-        id: workerId,
-        worker,
-        busy: false,
-        tasks: 0
-      };
+    // 该 Worker 持有的亲和状态已丢失
+    this.affinities.forEach((id, key) => {
+      if (id === workerId) {
+        this.affinities.delete(key);
+      }
+    });
+    
+    this.activeJobs.forEach((job, taskId) => {
+      if (job.worker.id !== workerId) return;
       
-      console.log(`🔄 Worker ${index} 重启成功`);
+      this.cleanupJob(taskId);
+      if (job.cancelled) return;
       
-    } catch (error) {
-      console.error(`Worker ${index} 重启失败:`, error);
-    }
+      const { task } = job;
+      task.retries = (task.retries || 0) + 1;
+      if (task.retries > this.maxRetries) {
+        task.reject(new Error(`Worker 崩溃，任务已重试 ${this.maxRetries} 次`));
+        return;
+      }
+      console.warn(`🔄 任务 ${taskId} 重新排队（第 ${task.retries} 次重试）`);
+      this.taskQueue.unshift(task);
+    });
+    
+    this.processQueue();
   }
   
   /**
@@ -289,6 +447,7 @@ class WorkerManager {
     
     job.task.reject(new Error('任务执行超时'));
     this.cleanupJob(taskId);
+    this.processQueue();
   }
   
   /**
@@ -306,6 +465,8 @@ class WorkerManager {
     
     // 移除任务记录
     this.activeJobs.delete(taskId);
+    
+    this.scheduleIdleShutdown(job.worker);
   }
   
   /**
@@ -324,6 +485,8 @@ class WorkerManager {
     
     return {
       totalWorkers: this.workerPool.length,
+      maxWorkers: this.maxWorkers,
+      spawningWorkers: this.spawning,
       busyWorkers,
       availableWorkers: this.workerPool.length - busyWorkers,
       queueLength: this.taskQueue.length,
@@ -338,6 +501,7 @@ class WorkerManager {
   cleanup() {
     // 终止所有Workers
     this.workerPool.forEach(workerInfo => {
+      clearTimeout(workerInfo.idleTimer);
       workerInfo.worker.terminate();
     });
     
@@ -346,6 +510,9 @@ class WorkerManager {
       clearTimeout(job.timeoutId);
       job.task.reject(new Error('Worker管理器已关闭'));
     });
+    this.taskQueue.forEach(task => {
+      task.reject(new Error('Worker管理器已关闭'));
+    });
     
     // 清空数据
     this.workerPool = [];
@@ -365,6 +532,8 @@ class AdvancedPerformanceOptimizer {
     this.workerManager = new WorkerManager();
     this.optimizationQueue = [];
     this.isProcessing = false;
+    // localStorage 键 -> 最近一次写入的序号，压缩较慢的旧写入不覆盖新数据
+    this.storageWrites = new Map();
     
     this.init();
   }
@@ -380,6 +549,7 @@ class AdvancedPerformanceOptimizer {
   
   /**
    * 优化图片
+   * @param {{signal?: AbortSignal, onProgress?: Function}} [options] 另可传入取消信号和逐张的进度回调
    */
   async optimizeImages(images, options = {}) {
     try {
@@ -393,20 +563,25 @@ class AdvancedPerformanceOptimizer {
         }
       }, {
         priority: 'high',
-        timeout: 60000
+        timeout: 60000,
+        signal: options.signal,
+        onProgress: options.onProgress
       });
       
       console.log('📸 图片优化完成:', result);
       return result;
       
     } catch (error) {
-      console.error('❌ 图片优化失败:', error);
+      if (error.name !== 'AbortError') {
+        console.error('❌ 图片优化失败:', error);
+      }
       throw error;
     }
   }
   
   /**
    * 分析文本内容
+   * @param {{signal?: AbortSignal, onProgress?: Function}} [options] 另可传入取消信号和逐篇的进度回调
    */
   async analyzeContent(texts, options = {}) {
     try {
@@ -417,27 +592,34 @@ class AdvancedPerformanceOptimizer {
           extractKeywords: options.extractKeywords !== false,
           analyzeSentiment: options.analyzeSentiment !== false
         }
+      }, {
+        signal: options.signal,
+        onProgress: options.onProgress
       });
       
       console.log('📝 文本分析完成:', result);
       return result;
       
     } catch (error) {
-      console.error('❌ 文本分析失败:', error);
+      if (error.name !== 'AbortError') {
+        console.error('❌ 文本分析失败:', error);
+      }
       throw error;
     }
   }
   
   /**
    * 构建搜索索引
+   * 索引保存在执行任务的 Worker 中，之后的 searchIndex 查询通过亲和键发往同一个 Worker
+   * @param {{xml?: string, articles?: Array, index?: Object, posts?: Array, version?: string, serialize?: boolean}} source
+   *   search.xml 原文、已解析的条目或缓存的序列化索引，posts 为 content.json
    */
-  async buildSearchIndex(articles) {
+  async buildSearchIndex(source) {
     try {
-      const result = await this.workerManager.executeTask('SEARCH_INDEX', {
-        articles
-      }, {
+      const result = await this.workerManager.executeTask('SEARCH_INDEX', source, {
         priority: 'normal',
-        timeout: 120000
+        timeout: 120000,
+        affinity: 'search'
       });
       
       console.log('🔍 搜索索引构建完成:', result);
@@ -449,34 +631,60 @@ class AdvancedPerformanceOptimizer {
     }
   }
   
+  /**
+   * 在 Worker 中执行搜索，结果按排名分批经 onPartial 返回
+   */
+  async searchIndex(query, onPartial, options = {}) {
+    return this.workerManager.executeTask('SEARCH_QUERY', {
+      query,
+      batchSize: options.batchSize,
+      excerpt: options.excerpt
+    }, {
+      priority: 'high',
+      timeout: 10000,
+      affinity: 'search',
+      onPartial
+    });
+  }
+  
   /**
    * 计算推荐内容
+   * @param {{signal?: AbortSignal, onProgress?: Function}} [options]
    */
-  async calculateRecommendations(articles, userPreferences, currentArticle) {
+  async calculateRecommendations(articles, userPreferences, currentArticle, options = {}) {
     try {
       const result = await this.workerManager.executeTask('RECOMMENDATION_CALCULATION', {
         articles,
         userPreferences,
         currentArticle
+      }, {
+        signal: options.signal,
+        onProgress: options.onProgress
       });
       
       console.log('💡 推荐计算完成:', result);
       return result;
       
     } catch (error) {
-      console.error('❌ 推荐计算失败:', error);
+      if (error.name !== 'AbortError') {
+        console.error('❌ 推荐计算失败:', error);
+      }
       throw error;
     }
   }
   
   /**
    * 压缩数据
+   * @param {string|Uint8Array} content
+   * @param {string} [algorithm] gzip、deflate 或 lz4
+   * @param {{encoding?: string}} [options] encoding 为 'base64' 时压缩结果为字符串
    */
-  async compressData(content, algorithm = 'gzip') {
+  async compressData(content, algorithm = 'gzip', options = {}) {
     try {
       const result = await this.workerManager.executeTask('DATA_COMPRESSION', {
         content,
-        algorithm
+        algorithm,
+        encoding: options.encoding
       });
       
       console.log('🗜️ 数据压缩完成:', result);
@@ -488,6 +696,69 @@ class AdvancedPerformanceOptimizer {
     }
   }
   
+  /**
+   * 解压数据，compressed 为字符串时按 base64 解码
+   * @param {{binary?: boolean}} [options] binary 为 true 时返回 Uint8Array，否则返回字符串
+   */
+  async decompressData(compressed, algorithm = 'gzip', options = {}) {
+    try {
+      const result = await this.workerManager.executeTask('DATA_DECOMPRESSION', {
+        compressed,
+        algorithm,
+        binary: options.binary
+      });
+      return result.content;
+      
+    } catch (error) {
+      console.error('❌ 数据解压失败:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * 压缩后写入 localStorage，值为“前缀 + 算法 + : + base64”；
+   * Worker 不可用、压缩失败或压缩后没有变短时写入原文
+   */
+  async saveCompressed(key, text, algorithm = 'gzip') {
+    const write = (this.storageWrites.get(key) || 0) + 1;
+    this.storageWrites.set(key, write);
+    
+    let value = text;
+    if (await this.workerManager.ready) {
+      try {
+        const result = await this.compressData(text, algorithm, { encoding: 'base64' });
+        const packed = `${AdvancedPerformanceOptimizer.STORAGE_PREFIX}${algorithm}:${result.compressed}`;
+        if (packed.length < text.length) {
+          value = packed;
+        }
+      } catch (error) {
+        console.warn(`${key} 压缩失败，按原文保存:`, error);
+      }
+    }
+    
+    if (this.storageWrites.get(key) === write) {
+      localStorage.setItem(key, value);
+    }
+  }
+  
+  /**
+   * 读取 saveCompressed 写入的值，未压缩的数据原样返回
+   * @returns {Promise<string|null>}
+   */
+  async loadCompressed(key) {
+    const value = localStorage.getItem(key);
+    const prefix = AdvancedPerformanceOptimizer.STORAGE_PREFIX;
+    if (value === null || value.indexOf(prefix) !== 0) {
+      return value;
+    }
+    
+    if (!(await this.workerManager.ready)) {
+      throw new Error('Worker 不可用，无法解压');
+    }
+    const separator = value.indexOf(':', prefix.length);
+    return this.decompressData(value.slice(separator + 1), value.slice(prefix.length, separator));
+  }
+  
   /**
    * 分析性能指标
    */
@@ -519,17 +790,36 @@ class AdvancedPerformanceOptimizer {
   }
 }
 
+WorkerManager.WORKER_SCRIPT = '/js/performance-worker.js';
+
+// 空闲 Worker 的存活时间（毫秒）
+WorkerManager.IDLE_TIMEOUT = 30000;
+
+// Worker 崩溃后任务最多重新执行的次数
+WorkerManager.MAX_RETRIES = 2;
+
+// 取消执行中的任务后等待 Worker 回复的时间（毫秒）
+WorkerManager.CANCEL_GRACE = 2000;
+
+// saveCompressed 写入的值以此开头，JSON 不会以这个前缀开头
+AdvancedPerformanceOptimizer.STORAGE_PREFIX = 'compressed:';
+
 // 全局实例
 window.AdvancedPerformanceOptimizer = AdvancedPerformanceOptimizer;
 window.WorkerManager = WorkerManager;
 
-// 自动初始化
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
+// 自动初始化；其他脚本通过 AdvancedPerformanceOptimizer.ready 取得实例，不依赖各自 DOMContentLoaded 回调的执行顺序
+AdvancedPerformanceOptimizer.ready = new Promise(resolve => {
+  const create = () => {
     window.performanceOptimizer = new AdvancedPerformanceOptimizer();
-  });
-} else {
-  window.performanceOptimizer = new AdvancedPerformanceOptimizer();
-}
+    resolve(window.performanceOptimizer);
+  };
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', create);
+  } else {
+    create();
+  }
+});
 
 console.log('🔧 Web Worker管理器模块已加载');
\ No newline at end of file
@@ -0,0 +1,231 @@
+// 由 tools/precache-manifest.js 生成，请勿手动修改
+self.PRECACHE_MANIFEST = {
+  "version": "25ce6f886409e3ec",
+  "assets": [
+    {
+      "url": "/css/critical.css",
+      "revision": "9561d4ee65035fcb",
+      "size": 941
+    },
+    {
+      "url": "/css/dark.css",
+      "revision": "e52ea2553437e9b7",
+      "size": 50459
+    },
+    {
+      "url": "/css/matery.css",
+      "revision": "5aeaea62bd2e827e",
+      "size": 45890
+    },
+    {
+      "url": "/css/music-player.css",
+      "revision": "0cc8af2eaa725a0b",
+      "size": 1456
+    },
+    {
+      "url": "/css/my.css",
+      "revision": "f12ae7e4749330c0",
+      "size": 236
+    },
+    {
+      "url": "/css/post.css",
+      "revision": "0761aa97179a729d",
+      "size": 1397
+    },
+    {
+      "url": "/js/advanced-image-optimizer.js",
+      "revision": "b4c218de0d73584e",
+      "size": 4119
+    },
+    {
+      "url": "/js/logo-audio.js",
+      "revision": "5b2d5826784560c4",
+      "size": 957
+    },
+    {
+      "url": "/js/lz4-block.js",
+      "revision": "91d38c2812d1e6bd",
+      "size": 5814
+    },
+    {
+      "url": "/js/matery.js",
+      "revision": "9da21755d81c312d",
+      "size": 11874
+    },
+    {
+      "url": "/js/music-player.js",
+      "revision": "82ac3120e12db345",
+      "size": 4489
+    },
+    {
+      "url": "/js/offline-fallback.js",
+      "revision": "f2b91bfae1dbf4b6",
+      "size": 5154
+    },
+    {
+      "url": "/js/performance-worker.js",
+      "revision": "68b2c78b582551f9",
+      "size": 18028
+    },
+    {
+      "url": "/js/pinyin-table.js",
+      "revision": "6439036b58dfbe33",
+      "size": 25264
+    },
+    {
+      "url": "/js/search-engine.js",
+      "revision": "c17ac6f42d53086a",
+      "size": 36940
+    },
+    {
+      "url": "/js/search-index-store.js",
+      "revision": "3e63d03d7ec6a58b",
+      "size": 6233
+    },
+    {
+      "url": "/js/search.js",
+      "revision": "9a62d9f38bd49f39",
+      "size": 21155
+    },
+    {
+      "url": "/js/sw-manager.js",
+      "revision": "294467fc1247ff08",
+      "size": 16885
+    },
+    {
+      "url": "/js/tw-cn-table.js",
+      "revision": "32a83bac26fb7346",
+      "size": 15814
+    },
+    {
+      "url": "/js/worker-manager.js",
+      "revision": "0010e1ff2b4b27ec",
+      "size": 24145
+    },
+    {
+      "url": "/libs/animate/animate.min.css",
+      "revision": "8fe3fa119255adb5",
+      "size": 52789
+    },
+    {
+      "url": "/libs/aos/aos.css",
+      "revision": "2bbf5682be78f236",
+      "size": 25983
+    },
+    {
+      "url": "/libs/aos/aos.js",
+      "revision": "3b0de65754ce3347",
+      "size": 12368
+    },
+    {
+      "url": "/libs/awesome/css/all.min.css",
+      "revision": "c5e8e8eb22e2eaf1",
+      "size": 101709
+    },
+    {
+      "url": "/libs/awesome/webfonts/fa-brands-400.woff2",
+      "revision": "967394d1fd10b388",
+      "size": 105112
+    },
+    {
+      "url": "/libs/awesome/webfonts/fa-regular-400.woff2",
+      "revision": "52ec4d833cfa502f",
+      "size": 24028
+    },
+    {
+      "url": "/libs/awesome/webfonts/fa-solid-900.woff2",
+      "revision": "52bbd916956b4ed8",
+      "size": 154840
+    },
+    {
+      "url": "/libs/awesome/webfonts/fa-v4compatibility.woff2",
+      "revision": "b8f0081f0736c686",
+      "size": 4776
+    },
+    {
+      "url": "/libs/instantpage/instantpage.js",
+      "revision": "3c01f05b54a9ad5b",
+      "size": 4605
+    },
+    {
+      "url": "/libs/jquery/jquery-3.6.0.min.js",
+      "revision": "ff1523fb7389539c",
+      "size": 89501
+    },
+    {
+      "url": "/libs/lightGallery/css/lightgallery.min.css",
+      "revision": "2f5ed2b7347d8055",
+      "size": 21027
+    },
+    {
+      "url": "/libs/lightGallery/img/loading.gif",
+      "revision": "298ad3ffc38de0d7",
+      "size": 4178
+    },
+    {
+      "url": "/libs/lightGallery/img/video-play.png",
+      "revision": "57c591e27979a817",
+      "size": 974
+    },
+    {
+      "url": "/libs/lightGallery/img/vimeo-play.png",
+      "revision": "882a2ee05a4b2d79",
+      "size": 1901
+    },
+    {
+      "url": "/libs/lightGallery/img/youtube-play.png",
+      "revision": "304afc9750d7221a",
+      "size": 3122
+    },
+    {
+      "url": "/libs/lightGallery/js/lightgallery-all.min.js",
+      "revision": "2cd2ec168323d5ec",
+      "size": 56745
+    },
+    {
+      "url": "/libs/masonry/masonry.pkgd.min.js",
+      "revision": "367d6afdfc741fb4",
+      "size": 24103
+    },
+    {
+      "url": "/libs/materialize/materialize.min.css",
+      "revision": "7b0150f492493fc7",
+      "size": 145123
+    },
+    {
+      "url": "/libs/materialize/materialize.min.js",
+      "revision": "2d2384b677620892",
+      "size": 190444
+    },
+    {
+      "url": "/libs/others/busuanzi.pure.mini.js",
+      "revision": "fff0edf8c6a683f5",
+      "size": 1884
+    },
+    {
+      "url": "/libs/scrollprogress/scrollProgress.min.js",
+      "revision": "fecda527bf16dca5",
+      "size": 1679
+    },
+    {
+      "url": "/libs/tocbot/tocbot.css",
+      "revision": "5d46d20f79bec4b5",
+      "size": 565
+    },
+    {
+      "url": "/medias/logo.png",
+      "revision": "11dee4ea7fda23e8",
+      "size": 32428
+    },
+    {
+      "url": "/medias/music-cover.jpg",
+      "revision": "5b08d8cf138137ab",
+      "size": 54662
+    },
+    {
+      "url": "/offline.html",
+      "revision": "917dc2fa6ef9cd89",
+      "size": 2983
+    }
+  ]
+};
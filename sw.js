@@ -1,62 +1,156 @@
-const CACHE_NAME = 'hexo-blog-v1.0.0';
-const STATIC_CACHE = 'static-v1.0.0';
-const DYNAMIC_CACHE = 'dynamic-v1.0.0';
-
-// 需要缓存的静态资源
-const STATIC_ASSETS = [
-  '/',
-  '/css/matery.css',
-  '/css/modern-optimizations.css',
-  '/js/matery.js',
-  '/js/modern-optimizations.js',
-  '/libs/jquery/jquery-3.6.0.min.js',
-  '/libs/materialize/materialize.min.js',
-  '/medias/logo.png',
-  '/favicon.png'
+// 预缓存清单由 tools/precache-manifest.js 生成，内容变化时浏览器会据此更新 Service Worker
+importScripts(
+  '/precache-manifest.js',
+  '/js/comment-outbox.js',
+  '/js/shared-notes.js',
+  '/js/post-resolver.js',
+  '/js/twikoo-silent-loader.js'
+);
+
+const PRECACHE = 'precache';
+
+// 预缓存中记录已缓存版本的条目
+const PRECACHE_STATE_KEY = '/__precache-state.json';
+
+// 同时下载的预缓存文件数
+const PRECACHE_CONCURRENCY = 6;
+
+// 网络和缓存都不可用时显示的页面，随预缓存清单发布，安装时即下载
+const OFFLINE_FALLBACK = '/offline.html';
+const OFFLINE_FALLBACK_SCRIPT = '/js/offline-fallback.js';
+
+const PRECACHE_MANIFEST = self.PRECACHE_MANIFEST || { version: 'none', assets: [] };
+const PRECACHE_REVISIONS = new Map(PRECACHE_MANIFEST.assets.map(asset => [asset.url, asset.revision]));
+
+// 运行时缓存按路由分开，各自限制条目数和存活时间，超出时淘汰最久未访问的条目
+const RUNTIME_POLICIES = {
+  pages: { cacheName: 'pages-v1', maxEntries: 50, maxAgeSeconds: 7 * 24 * 60 * 60 },
+  data: { cacheName: 'data-v1', maxEntries: 10, maxAgeSeconds: 7 * 24 * 60 * 60 },
+  assets: { cacheName: 'assets-v1', maxEntries: 100, maxAgeSeconds: 30 * 24 * 60 * 60 },
+  images: { cacheName: 'images-v1', maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60 },
+  others: { cacheName: 'others-v1', maxEntries: 50, maxAgeSeconds: 7 * 24 * 60 * 60 },
+  cdn: { cacheName: 'cdn-v1', maxEntries: 100, maxAgeSeconds: 30 * 24 * 60 * 60 },
+  media: { cacheName: 'media-v1', maxEntries: 10, maxAgeSeconds: 30 * 24 * 60 * 60 }
+};
+
+// 音频和视频文件，播放器会发 Range 请求，缓存完整文件后按范围切片返回
+const MEDIA_PATTERN = /\.(?:mp3|m4a|aac|ogg|oga|wav|flac|mp4|webm)$/i;
+
+// 缓存优先处理的跨域 CDN，CDN 上的文件地址带版本号，内容不变
+const CDN_ORIGINS = [
+  'https://cdn.jsdelivr.net',
+  'https://fastly.jsdelivr.net',
+  'https://unpkg.com',
+  'https://cdn.bootcdn.net',
+  'https://fonts.googleapis.com',
+  'https://fonts.gstatic.com'
+];
+
+// 同一文件在各 CDN 上的地址，请求失败时依次尝试；npm 包另按 jsdelivr/unpkg 的路径规则换算
+const CDN_MIRRORS = [
+  TwikooSilentLoader.CDN_URLS
 ];
 
-// 需要网络优先的资源
-const NETWORK_FIRST = [
+// 不透明响应（no-cors）无法检查状态和内容，且浏览器按填充后的大小计入配额，单独限制条数和占用
+const OPAQUE_LIMITS = { maxEntries: 20, maxBytes: 50 * 1024 * 1024 };
+
+// 允许缓存不透明响应的请求类型
+const OPAQUE_DESTINATIONS = ['script', 'style', 'image'];
+
+// 缓存条目的元数据（缓存时间、最近访问时间、大小）保存在 IndexedDB
+const CACHE_META_DB = 'sw-cache-meta';
+const CACHE_META_STORE = 'entries';
+
+// 存储占用超过配额的 high 时，从占用最大的缓存开始清理，直到降到 target；两次检查至少间隔 interval
+const STORAGE_PRESSURE = { high: 0.8, target: 0.6, interval: 60 * 1000 };
+
+// 先返回缓存、再在后台更新的数据文件
+const STALE_WHILE_REVALIDATE = [
   '/search.xml',
-  '/atom.xml',
-  '/sitemap.xml'
+  '/content.json',
+  '/atom.xml'
 ];
 
-// 安装事件 - 缓存静态资源
+// 离线保存的文章及其资源，只在用户移除时删除
+const OFFLINE_CACHE = 'offline-posts';
+
+// 离线缓存中记录已保存文章的条目
+const OFFLINE_INDEX_KEY = '/__offline-posts.json';
+
+// 离线阅读列表页面
+const OFFLINE_PAGE = '/offline/';
+
+// 整站离线：缓存全部文章及其图片，同步状态保存在同一缓存中
+const LIBRARY_CACHE = 'offline-library';
+const LIBRARY_STATE_KEY = '/__library-state.json';
+
+// 自动同步的最小间隔，页面要求立即同步时不受限制
+const LIBRARY_SYNC_INTERVAL = 6 * 60 * 60 * 1000;
+
+// 同一篇文章的图片同时下载数
+const LIBRARY_CONCURRENCY = 4;
+
+// 新文章通知：定期后台同步检查 atom.xml，已通知过的文章记录在同名缓存中
+const FEED_CACHE = 'feed-state';
+const FEED_STATE_KEY = '/__feed-seen.json';
+const FEED_SYNC_TAG = 'new-posts';
+
+// 一次发现的新文章超过这个数量时合并为一条通知
+const FEED_NOTIFY_LIMIT = 3;
+
+// 记录的已通知文章数量上限
+const FEED_SEEN_LIMIT = 200;
+
+// manifest.json 中声明的处理地址
+const SHARE_TARGET = '/share';
+const FILE_HANDLER = '/open-file';
+const POST_HANDLER = '/post';
+
+// 分享内容保存后显示的页面
+const NOTES_PAGE = '/notes/';
+
+// 文章页面：/年/月/日/标题/
+const ARTICLE_PATTERN = /^\/\d{4}\/\d{2}\/\d{2}\/[^/]+\/(?:index\.html)?$/;
+
+// 安装事件 - 新版本安装后停在 waiting，页面确认后发送 SKIP_WAITING 再激活
 self.addEventListener('install', event => {
   console.log('Service Worker: Installing...');
-  
   event.waitUntil(
-    caches.open(STATIC_CACHE)
-      .then(cache => {
-        console.log('Service Worker: Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => {
-        console.log('Service Worker: Static assets cached');
-        return self.skipWaiting();
-      })
+    precacheOfflineFallback()
       .catch(error => {
-        console.error('Service Worker: Failed to cache static assets', error);
+        console.error('Service Worker: Failed to precache offline page', error);
       })
   );
 });
 
-// 激活事件 - 清理旧缓存
+// 激活事件 - 按清单更新预缓存并清理旧缓存
 self.addEventListener('activate', event => {
   console.log('Service Worker: Activating...');
   
   event.waitUntil(
     caches.keys()
       .then(cacheNames => {
+        const known = [PRECACHE, OFFLINE_CACHE, LIBRARY_CACHE, FEED_CACHE].concat(Object.values(RUNTIME_POLICIES).map(policy => policy.cacheName));
         return Promise.all(
           cacheNames.map(cacheName => {
-            if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+            if (known.indexOf(cacheName) === -1) {
               console.log('Service Worker: Deleting old cache', cacheName);
               return caches.delete(cacheName);
             }
           })
-        );
+        ).then(() => pruneCacheMeta(known));
+      })
+      .then(() => syncPrecache())
+      .then(() => cacheOfflinePage())
+      .then(() => relieveStoragePressure(true))
+      .then(() => {
+        // 导航预加载：Service Worker 启动的同时发出页面请求
+        if (self.registration.navigationPreload) {
+          return self.registration.navigationPreload.enable();
+        }
+      })
+      .catch(error => {
+        console.error('Service Worker: Failed to update precache', error);
       })
       .then(() => {
         console.log('Service Worker: Activated');
@@ -65,45 +159,260 @@ self.addEventListener('activate', event => {
   );
 });
 
+/**
+ * 对比已缓存的版本与清单：只下载新增或内容变化的文件，删除清单中已移除的文件
+ * 下载失败的文件不记入状态，下次激活时重试
+ */
+async function syncPrecache() {
+  const cache = await caches.open(PRECACHE);
+  const cached = await readPrecacheState(cache);
+
+  // 缓存条目可能被浏览器单独清除，以实际存在的条目为准
+  const present = new Set((await cache.keys()).map(request => new URL(request.url).pathname));
+  const changed = PRECACHE_MANIFEST.assets.filter(asset =>
+    cached.get(asset.url) !== asset.revision || !present.has(asset.url));
+  const removed = Array.from(present).filter(url => url !== PRECACHE_STATE_KEY && !PRECACHE_REVISIONS.has(url));
+
+  await Promise.all(removed.map(url => cache.delete(url)));
+  removed.forEach(url => cached.delete(url));
+
+  const queue = changed.slice();
+  const download = async () => {
+    while (queue.length) {
+      const asset = queue.shift();
+      try {
+        await downloadPrecacheAsset(cache, asset);
+        cached.set(asset.url, asset.revision);
+      } catch (error) {
+        cached.delete(asset.url);
+        console.warn('Service Worker: Failed to precache', asset.url, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, download));
+
+  await writePrecacheState(cache, cached);
+  console.log(`Service Worker: Precache ${PRECACHE_MANIFEST.version} - ${changed.length} updated, ${removed.length} removed`);
+}
+
+/**
+ * 安装时先下载离线页面及其脚本，激活前断网也有页面可显示；已是清单版本的文件跳过，激活时不再重复下载
+ * 同时取得文章列表，离线页面从中读取标题和日期
+ */
+async function precacheOfflineFallback() {
+  const cache = await caches.open(PRECACHE);
+  const cached = await readPrecacheState(cache);
+  const assets = PRECACHE_MANIFEST.assets.filter(asset =>
+    (asset.url === OFFLINE_FALLBACK || asset.url === OFFLINE_FALLBACK_SCRIPT) &&
+    cached.get(asset.url) !== asset.revision);
+
+  for (const asset of assets) {
+    await downloadPrecacheAsset(cache, asset);
+    cached.set(asset.url, asset.revision);
+  }
+  await writePrecacheState(cache, cached);
+
+  const posts = new Request('/content.json');
+  const response = await fetch(posts).catch(() => null);
+  if (response && response.ok) {
+    await putRuntime(RUNTIME_POLICIES.data, posts, response);
+  }
+}
+
+// 绕过 HTTP 缓存，确保拿到与清单一致的新内容
+async function downloadPrecacheAsset(cache, asset) {
+  const response = await fetch(new Request(asset.url, { cache: 'reload' }));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  await cache.put(asset.url, response);
+}
+
+async function readPrecacheState(cache) {
+  const response = await cache.match(PRECACHE_STATE_KEY);
+  return new Map(Object.entries(response ? await response.json() : {}));
+}
+
+function writePrecacheState(cache, state) {
+  return cache.put(PRECACHE_STATE_KEY, new Response(JSON.stringify(Object.fromEntries(state)), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
 // 拦截请求 - 实现缓存策略
 self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
   
-  // 只处理同源请求
-  if (url.origin !== location.origin) {
+  // 白名单内的 CDN 资源缓存优先，失败时换镜像
+  if (request.method === 'GET' && CDN_ORIGINS.indexOf(url.origin) !== -1) {
+    event.respondWith(cdnCacheFirst(request));
+    return;
+  }
+  
+  // manifest.json 的 share_target：保存分享的内容后转到本地笔记
+  if (url.origin === location.origin && url.pathname === SHARE_TARGET) {
+    event.respondWith(request.method === 'POST' ? receiveShare(request) : redirectTo(NOTES_PAGE, 303));
+    return;
+  }
+  
+  // 只处理同源的 GET 请求
+  if (url.origin !== location.origin || request.method !== 'GET') {
+    return;
+  }
+  
+  // manifest.json 的 protocol_handlers：web+blog 链接解析为文章
+  if ((url.pathname === POST_HANDLER || url.pathname === POST_HANDLER + '/') && url.searchParams.has('url')) {
+    event.respondWith(resolvePost(url.searchParams.get('url'), event.preloadResponse));
+    return;
+  }
+  
+  // manifest.json 的 file_handlers：/open-file 由 /open-file/ 页面处理，不经过重定向以免丢失启动参数
+  if (url.pathname === FILE_HANDLER) {
+    event.respondWith(networkFirst(new Request(FILE_HANDLER + '/'), RUNTIME_POLICIES.pages, fileHandlerPage(event)));
+    return;
+  }
+  
+  // 音频和视频：从缓存的完整文件返回 206 部分响应，离线时也能拖动进度
+  if (request.destination === 'audio' || request.destination === 'video' || MEDIA_PATTERN.test(url.pathname)) {
+    event.respondWith(mediaCacheFirst(event, url.pathname));
+    return;
+  }
+  
+  // 预缓存的资源直接由预缓存提供，随清单版本更新
+  if (PRECACHE_REVISIONS.has(url.pathname)) {
+    event.respondWith(precacheFirst(request, url.pathname));
     return;
   }
   
-  // 网络优先策略（用于动态内容）
-  if (NETWORK_FIRST.some(path => url.pathname.includes(path))) {
-    event.respondWith(networkFirst(request));
+  // 先用缓存、后台更新（用于搜索数据和订阅源）
+  if (STALE_WHILE_REVALIDATE.indexOf(url.pathname) !== -1) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_POLICIES.data, false));
     return;
   }
   
   // 缓存优先策略（用于静态资源）
-  if (request.destination === 'style' || 
-      request.destination === 'script' || 
-      request.destination === 'image' ||
-      STATIC_ASSETS.includes(url.pathname)) {
-    event.respondWith(cacheFirst(request));
+  if (request.destination === 'style' || request.destination === 'script') {
+    event.respondWith(cacheFirst(request, RUNTIME_POLICIES.assets));
+    return;
+  }
+  
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, RUNTIME_POLICIES.images));
+    return;
+  }
+  
+  // 文章页面先显示缓存，后台取得新版本后提示刷新
+  if (request.mode === 'navigate' && ARTICLE_PATTERN.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_POLICIES.pages, true));
     return;
   }
   
-  // 网络优先，缓存备用（用于HTML页面）
+  // 网络优先，缓存备用（用于其他HTML页面）
   if (request.destination === 'document') {
-    event.respondWith(networkFirst(request));
+    event.respondWith(networkFirst(request, RUNTIME_POLICIES.pages, preloadOrFetch(event)));
     return;
   }
   
   // 默认策略
-  event.respondWith(networkFirst(request));
+  event.respondWith(networkFirst(request, RUNTIME_POLICIES.others));
 });
 
+// 预缓存优先，尚未缓存（如激活时下载失败）时回到网络
+async function precacheFirst(request, pathname) {
+  const cache = await caches.open(PRECACHE);
+  const cachedResponse = await cache.match(pathname);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+  return fetch(request);
+}
+
+/**
+ * 媒体文件缓存优先：预缓存中的文件（如 background.mp3、voice.mp3）直接使用，
+ * 其他文件第一次请求时原样交给网络以便立即播放，同时在后台下载完整文件
+ */
+async function mediaCacheFirst(event, pathname) {
+  const { request } = event;
+  const precached = PRECACHE_REVISIONS.has(pathname);
+  const cachedResponse = precached
+    ? await (await caches.open(PRECACHE)).match(pathname)
+    : await matchRuntime(RUNTIME_POLICIES.media, request) || await matchOffline(request);
+  
+  if (cachedResponse) {
+    return rangeResponse(request, cachedResponse);
+  }
+  if (!precached) {
+    event.waitUntil(cacheFullMedia(request.url));
+  }
+  return fetch(request);
+}
+
+// 正在下载的媒体文件，播放器连续发出的多个 Range 请求只触发一次下载
+const mediaDownloads = new Set();
+
+async function cacheFullMedia(url) {
+  if (mediaDownloads.has(url)) return;
+  
+  mediaDownloads.add(url);
+  try {
+    const response = await fetch(url);
+    if (response.status === 200) {
+      await putRuntime(RUNTIME_POLICIES.media, new Request(url), response);
+    }
+  } catch (error) {
+    console.warn('Service Worker: Failed to cache media', url, error);
+  } finally {
+    mediaDownloads.delete(url);
+  }
+}
+
+/**
+ * 按请求的 Range 从完整响应中切出 206 部分响应；只支持单个范围，
+ * 无法解析的 Range（如多个范围）返回完整文件，超出文件大小返回 416
+ */
+async function rangeResponse(request, response) {
+  const range = /^bytes=(\d*)-(\d*)$/.exec((request.headers.get('Range') || '').trim());
+  if (!range || (!range[1] && !range[2])) {
+    return response;
+  }
+  
+  const blob = await response.blob();
+  const size = blob.size;
+  let start;
+  let end;
+  if (range[1]) {
+    start = Number(range[1]);
+    end = range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+  } else {
+    start = Math.max(size - Number(range[2]), 0);
+    end = size - 1;
+  }
+  
+  if (start >= size || start > end || (!range[1] && Number(range[2]) === 0)) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+  
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || blob.type,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
 // 缓存优先策略
-async function cacheFirst(request) {
+async function cacheFirst(request, policy) {
   try {
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchRuntime(policy, request) || await matchOffline(request);
     if (cachedResponse) {
       return cachedResponse;
     }
@@ -112,8 +421,7 @@ async function cacheFirst(request) {
     
     // 缓存成功的响应
     if (networkResponse.ok) {
-      const cache = await caches.open(STATIC_CACHE);
-      cache.put(request, networkResponse.clone());
+      putRuntime(policy, request, networkResponse.clone());
     }
     
     return networkResponse;
@@ -132,33 +440,33 @@ async function cacheFirst(request) {
   }
 }
 
-// 网络优先策略
-async function networkFirst(request) {
+// 网络优先策略，responsePromise 为已发出的请求（如导航预加载）
+async function networkFirst(request, policy, responsePromise) {
   try {
-    const networkResponse = await fetch(request);
+    const networkResponse = await (responsePromise || fetch(request));
     
     // 缓存成功的响应
     if (networkResponse.ok) {
-      const cache = await caches.open(DYNAMIC_CACHE);
-      cache.put(request, networkResponse.clone());
+      putRuntime(policy, request, networkResponse.clone());
     }
     
     return networkResponse;
   } catch (error) {
     console.log('Network failed, trying cache:', error);
     
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchRuntime(policy, request) || await matchOffline(request);
     if (cachedResponse) {
       return cachedResponse;
     }
     
-    // 如果是HTML页面请求失败，返回离线页面
+    // 如果是HTML页面请求失败，返回离线页面，页面在恢复联网后重新加载原地址
     if (request.destination === 'document') {
-      const offlinePage = await caches.match('/offline.html');
+      const offlinePage = await (await caches.open(PRECACHE)).match(OFFLINE_FALLBACK);
       if (offlinePage) {
         return offlinePage;
       }
       
+      // 离线页面尚未缓存时的兜底
       return new Response(
         `<!DOCTYPE html>
         <html>
@@ -170,6 +478,7 @@ async function networkFirst(request) {
             body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
             .offline-message { max-width: 400px; margin: 0 auto; }
             .offline-icon { font-size: 64px; margin-bottom: 20px; }
+            .offline-message a { color: #4cbf30; }
           </style>
         </head>
         <body>
@@ -178,6 +487,7 @@ async function networkFirst(request) {
             <h1>当前处于离线状态</h1>
             <p>请检查网络连接后重试</p>
             <button onclick="window.location.reload()">重新加载</button>
+            <p><a href="${OFFLINE_PAGE}">查看已离线保存的文章</a></p>
           </div>
         </body>
         </html>`,
@@ -192,67 +502,1057 @@ async function networkFirst(request) {
   }
 }
 
-// 后台同步（如果支持）
+/**
+ * CDN 资源：先查缓存，未命中时依次请求原地址和各镜像，返回第一个通过检查的响应
+ */
+async function cdnCacheFirst(request) {
+  const policy = RUNTIME_POLICIES.cdn;
+  const cachedResponse = await matchRuntime(policy, request);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+  
+  let lastError = null;
+  for (const url of [request.url].concat(cdnMirrors(request.url))) {
+    try {
+      const response = url === request.url
+        ? await fetch(request)
+        : await fetch(url, { mode: request.mode === 'cors' ? 'cors' : 'no-cors', credentials: 'omit' });
+      
+      if (response.type === 'opaque') {
+        if (OPAQUE_DESTINATIONS.indexOf(request.destination) === -1) {
+          return response;
+        }
+        await putOpaque(policy, request, response.clone());
+        return response;
+      }
+      
+      if (!isValidCdnResponse(request, response)) {
+        throw new Error(`Unexpected response ${response.status} ${response.headers.get('Content-Type')}`);
+      }
+      putRuntime(policy, request, response.clone());
+      return response;
+    } catch (error) {
+      console.warn('Service Worker: CDN request failed', url, error);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * 原地址之外的镜像地址
+ */
+function cdnMirrors(url) {
+  const mirrors = [];
+  CDN_MIRRORS.forEach(group => {
+    if (group.indexOf(url) !== -1) {
+      mirrors.push(...group);
+    }
+  });
+  
+  const npm = /^https:\/\/(?:(?:cdn|fastly)\.jsdelivr\.net\/npm|unpkg\.com)\/(.+)$/.exec(url);
+  if (npm) {
+    mirrors.push(
+      `https://cdn.jsdelivr.net/npm/${npm[1]}`,
+      `https://fastly.jsdelivr.net/npm/${npm[1]}`,
+      `https://unpkg.com/${npm[1]}`
+    );
+  }
+  
+  return mirrors.filter((mirror, i) => mirror !== url && mirrors.indexOf(mirror) === i);
+}
+
+/**
+ * CORS 响应：状态码必须成功，内容类型需与请求的资源类型相符（CDN 出错时常返回 HTML 页面）
+ */
+function isValidCdnResponse(request, response) {
+  if (!response.ok) {
+    return false;
+  }
+  const type = (response.headers.get('Content-Type') || '').toLowerCase();
+  const expected = {
+    script: /javascript|ecmascript/,
+    style: /text\/css/,
+    font: /font|octet-stream/,
+    image: /^image\//
+  }[request.destination];
+  return !expected || !type || expected.test(type);
+}
+
+/**
+ * 缓存不透明响应，按存储用量的增加估算占用，超出 OPAQUE_LIMITS 时淘汰最久未访问的不透明条目
+ */
+async function putOpaque(policy, request, response) {
+  const usageBefore = await storageUsage();
+  await putRuntime(policy, request, response, { opaque: true });
+  const usageAfter = await storageUsage();
+  
+  if (usageBefore !== null && usageAfter !== null && usageAfter > usageBefore) {
+    const id = cacheMetaId(policy.cacheName, request.url);
+    const meta = await readCacheMeta(policy.cacheName, request.url).catch(() => null);
+    if (meta) {
+      await writeCacheMeta(Object.assign(meta, { id, size: usageAfter - usageBefore })).catch(() => {});
+    }
+  }
+  
+  const entries = (await listCacheMeta(policy.cacheName))
+    .filter(entry => entry.opaque)
+    .sort((a, b) => b.accessedAt - a.accessedAt);
+  let total = 0;
+  const evicted = entries.filter((entry, i) => {
+    total += entry.size || 0;
+    return i >= OPAQUE_LIMITS.maxEntries || total > OPAQUE_LIMITS.maxBytes;
+  });
+  await Promise.all(evicted.map(entry => deleteRuntimeEntry(policy.cacheName, entry.url)));
+}
+
+async function storageUsage() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  return (await navigator.storage.estimate()).usage;
+}
+
+/**
+ * 先返回缓存，同时在后台取新版本写回缓存；notify 为 true 时内容有变化则通知页面
+ * 没有缓存，或请求要求绕过缓存（如搜索索引按版本校验时的 no-cache）时按网络优先处理
+ */
+async function staleWhileRevalidate(event, policy, notify) {
+  const { request } = event;
+  const bypass = request.cache === 'no-cache' || request.cache === 'reload' || request.cache === 'no-store';
+  const cachedResponse = bypass ? null : await matchRuntime(policy, request);
+  const networkPromise = preloadOrFetch(event);
+  
+  if (!cachedResponse) {
+    return networkFirst(request, policy, networkPromise);
+  }
+  
+  const shown = cachedResponse.clone();
+  event.waitUntil(networkPromise
+    .then(async networkResponse => {
+      if (!networkResponse.ok) {
+        return;
+      }
+      const changed = notify && await responseChanged(shown, networkResponse.clone());
+      await putRuntime(policy, request, networkResponse);
+      if (changed) {
+        await notifyClients(event, { type: 'CONTENT_UPDATED', url: request.url });
+      }
+    })
+    .catch(error => {
+      console.log('Revalidate failed:', request.url, error);
+    }));
+  
+  return cachedResponse;
+}
+
+/**
+ * 导航请求优先使用预加载的响应
+ */
+function preloadOrFetch(event) {
+  return Promise.resolve(event.preloadResponse).then(response => response || fetch(event.request));
+}
+
+/**
+ * 比较两个响应：都有 ETag 时比较 ETag，否则比较内容摘要
+ */
+async function responseChanged(previous, next) {
+  const previousTag = previous.headers.get('ETag');
+  const nextTag = next.headers.get('ETag');
+  if (previousTag && nextTag) {
+    return previousTag !== nextTag;
+  }
+  
+  const [a, b] = await Promise.all([previous.arrayBuffer(), next.arrayBuffer()]);
+  if (a.byteLength !== b.byteLength) {
+    return true;
+  }
+  const [digestA, digestB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', a),
+    crypto.subtle.digest('SHA-256', b)
+  ]);
+  const viewA = new Uint8Array(digestA);
+  const viewB = new Uint8Array(digestB);
+  return viewA.some((byte, i) => byte !== viewB[i]);
+}
+
+/**
+ * 向发起请求的页面发送消息；导航时页面可能尚未创建客户端，退回按地址查找
+ */
+async function notifyClients(event, message) {
+  const id = event.resultingClientId || event.clientId;
+  let targets = [];
+  if (id) {
+    const client = await self.clients.get(id);
+    if (client) {
+      targets = [client];
+    }
+  }
+  if (!targets.length) {
+    const target = new URL(message.url);
+    targets = (await self.clients.matchAll({ type: 'window' }))
+      .filter(client => new URL(client.url).pathname === target.pathname);
+  }
+  targets.forEach(client => client.postMessage(message));
+}
+
+/**
+ * 从运行时缓存读取，过期的条目直接删除，命中时刷新最近访问时间
+ */
+async function matchRuntime(policy, request) {
+  const cache = await caches.open(policy.cacheName);
+  const response = await cache.match(request);
+  if (!response) {
+    return null;
+  }
+  
+  const url = request.url || String(request);
+  const meta = await readCacheMeta(policy.cacheName, url).catch(() => null);
+  if (meta && isExpired(meta, policy, Date.now())) {
+    await deleteRuntimeEntry(policy.cacheName, url);
+    return null;
+  }
+  
+  writeCacheMeta(Object.assign({}, meta, {
+    id: cacheMetaId(policy.cacheName, url),
+    cacheName: policy.cacheName,
+    url,
+    cachedAt: meta ? meta.cachedAt : Date.now(),
+    accessedAt: Date.now(),
+    size: meta ? meta.size : 0
+  })).catch(() => {});
+  
+  return response;
+}
+
+/**
+ * 写入运行时缓存并记录元数据（extra 为附加字段），随后按策略裁剪该缓存
+ */
+async function putRuntime(policy, request, response, extra) {
+  // 部分响应（206）不是完整文件，Cache API 也不接受
+  if (response.status === 206) {
+    return;
+  }
+  
+  try {
+    const url = request.url || String(request);
+    const length = Number(response.headers.get('Content-Length'));
+    const size = length > 0 ? length : (await response.clone().blob()).size;
+    const cache = await caches.open(policy.cacheName);
+    await cache.put(request, response);
+    
+    const now = Date.now();
+    await writeCacheMeta(Object.assign({
+      id: cacheMetaId(policy.cacheName, url),
+      cacheName: policy.cacheName,
+      url,
+      cachedAt: now,
+      accessedAt: now,
+      size
+    }, extra));
+    await trimRuntimeCache(policy);
+    await relieveStoragePressure(false);
+  } catch (error) {
+    console.warn('Service Worker: Failed to cache', request.url, error);
+  }
+}
+
+function isExpired(meta, policy, now) {
+  return now - meta.cachedAt > policy.maxAgeSeconds * 1000;
+}
+
+/**
+ * 删除过期条目，再按最近访问时间淘汰超出数量上限的条目
+ */
+async function trimRuntimeCache(policy) {
+  const now = Date.now();
+  const entries = await listCacheMeta(policy.cacheName);
+  const expired = entries.filter(entry => isExpired(entry, policy, now));
+  const fresh = entries
+    .filter(entry => !isExpired(entry, policy, now))
+    .sort((a, b) => b.accessedAt - a.accessedAt);
+  const evicted = expired.concat(fresh.slice(policy.maxEntries));
+  
+  await Promise.all(evicted.map(entry => deleteRuntimeEntry(policy.cacheName, entry.url)));
+  return evicted.length;
+}
+
+let lastPressureCheck = 0;
+
+/**
+ * 存储占用过高时，从占用最大的运行时缓存开始，按最近访问时间由远到近删除条目
+ * 预缓存由清单管理，不参与清理
+ */
+async function relieveStoragePressure(force) {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return;
+  }
+  const now = Date.now();
+  if (!force && now - lastPressureCheck < STORAGE_PRESSURE.interval) {
+    return;
+  }
+  lastPressureCheck = now;
+  
+  const { usage, quota } = await navigator.storage.estimate();
+  if (!quota || usage / quota < STORAGE_PRESSURE.high) {
+    return;
+  }
+  
+  const usages = await Promise.all(Object.values(RUNTIME_POLICIES).map(async policy => {
+    const entries = await listCacheMeta(policy.cacheName);
+    return { policy, entries, size: entries.reduce((sum, entry) => sum + (entry.size || 0), 0) };
+  }));
+  usages.sort((a, b) => b.size - a.size);
+  
+  let excess = usage - quota * STORAGE_PRESSURE.target;
+  let removed = 0;
+  for (const { policy, entries } of usages) {
+    entries.sort((a, b) => a.accessedAt - b.accessedAt);
+    for (const entry of entries) {
+      if (excess <= 0) break;
+      await deleteRuntimeEntry(policy.cacheName, entry.url);
+      excess -= entry.size || 0;
+      removed++;
+    }
+    if (excess <= 0) break;
+  }
+  console.log(`Service Worker: Storage pressure ${(usage / quota * 100).toFixed(1)}%, removed ${removed} entries`);
+}
+
+async function deleteRuntimeEntry(cacheName, url) {
+  const cache = await caches.open(cacheName);
+  await cache.delete(url);
+  await deleteCacheMeta(cacheMetaId(cacheName, url)).catch(() => {});
+}
+
+function cacheMetaId(cacheName, url) {
+  return `${cacheName} ${url}`;
+}
+
+let cacheMetaDb = null;
+
+function openCacheMetaDb() {
+  if (!cacheMetaDb) {
+    cacheMetaDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_META_DB, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(CACHE_META_STORE, { keyPath: 'id' });
+        store.createIndex('cacheName', 'cacheName');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        cacheMetaDb = null;
+        reject(request.error);
+      };
+    });
+  }
+  return cacheMetaDb;
+}
+
+/**
+ * 在一个事务中执行 run，事务完成后返回 run 所发请求的结果
+ */
+async function cacheMetaTransaction(mode, run) {
+  const db = await openCacheMetaDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CACHE_META_STORE, mode);
+    const request = run(transaction.objectStore(CACHE_META_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function readCacheMeta(cacheName, url) {
+  return cacheMetaTransaction('readonly', store => store.get(cacheMetaId(cacheName, url)));
+}
+
+function writeCacheMeta(record) {
+  return cacheMetaTransaction('readwrite', store => store.put(record));
+}
+
+function deleteCacheMeta(id) {
+  return cacheMetaTransaction('readwrite', store => store.delete(id));
+}
+
+async function listCacheMeta(cacheName) {
+  return (await cacheMetaTransaction('readonly', store => store.index('cacheName').getAll(cacheName))) || [];
+}
+
+/**
+ * 删除已不存在的缓存留下的元数据
+ */
+async function pruneCacheMeta(known) {
+  const all = (await cacheMetaTransaction('readonly', store => store.getAll()).catch(() => null)) || [];
+  const stale = all.filter(entry => known.indexOf(entry.cacheName) === -1);
+  await Promise.all(stale.map(entry => deleteCacheMeta(entry.id)));
+}
+
+/**
+ * 接收系统分享的表单，保存为本地笔记；303 让浏览器以 GET 打开笔记页面，刷新时不会重复提交
+ */
+async function receiveShare(request) {
+  try {
+    const note = await SharedNotes.shared().addFromForm(await request.formData());
+    return redirectTo(`${NOTES_PAGE}?shared=${encodeURIComponent(note.id)}`, 303);
+  } catch (error) {
+    console.error('Service Worker: Failed to save shared content', error);
+    return redirectTo(NOTES_PAGE, 303);
+  }
+}
+
+function redirectTo(path, status) {
+  return Response.redirect(new URL(path, location.origin).href, status);
+}
+
+/**
+ * /open-file 的页面：服务器直接返回页面时使用导航预加载的响应，预加载得到重定向等其他响应时再请求 /open-file/
+ */
+async function fileHandlerPage(event) {
+  const preloaded = await event.preloadResponse;
+  return preloaded && preloaded.ok ? preloaded : fetch(FILE_HANDLER + '/');
+}
+
+/**
+ * 按缓存或网络中的 content.json 解析 web+blog 链接，重定向到文章或站内搜索
+ * 没有缓存的 content.json 时，直接返回导航预加载取得的 /post/ 页面，由页面读取 content.json 后跳转
+ */
+async function resolvePost(value, preloadResponse) {
+  const request = new Request('/content.json');
+  let posts = [];
+  try {
+    const cached = await matchRuntime(RUNTIME_POLICIES.data, request);
+    if (!cached) {
+      const page = await Promise.resolve(preloadResponse).catch(() => null);
+      if (page && page.ok) {
+        return page;
+      }
+    }
+    const response = cached || await fetch(request);
+    posts = await response.json();
+  } catch (error) {
+    console.warn('Service Worker: content.json unavailable', error);
+  }
+  return redirectTo(PostResolver.target(value, posts), 302);
+}
+
+// 页面发来的请求，带 MessageChannel 时回复 { ok, result | error }
+self.addEventListener('message', event => {
+  const data = event.data || {};
+  const handlers = {
+    SKIP_WAITING: () => self.skipWaiting(),
+    OFFLINE_SAVE: () => saveOfflinePost(data),
+    OFFLINE_REMOVE: () => removeOfflinePost(data.url),
+    OFFLINE_LIST: () => listOfflinePosts(),
+    LIBRARY_ENABLE: () => setLibraryEnabled(event, data.enabled),
+    LIBRARY_SYNC: () => {
+      event.waitUntil(startLibrarySync(data.force));
+      return libraryStatus();
+    },
+    LIBRARY_STATUS: () => libraryStatus(),
+    FEED_SEED: () => checkFeed(false)
+  };
+  const handler = handlers[data.type];
+  if (!handler) {
+    return;
+  }
+  
+  const port = event.ports && event.ports[0];
+  event.waitUntil(handler()
+    .then(result => port && port.postMessage({ ok: true, result }))
+    .catch(error => port && port.postMessage({ ok: false, error: error.message })));
+});
+
+async function readOfflineIndex(cache) {
+  const response = await cache.match(OFFLINE_INDEX_KEY);
+  return response ? response.json() : {};
+}
+
+function writeOfflineIndex(cache, index) {
+  return cache.put(OFFLINE_INDEX_KEY, new Response(JSON.stringify(index), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * 保存文章页面及其资源；预缓存中已有的文件不重复保存，单个资源下载失败不影响文章保存
+ * @returns {Promise<{url: string, title: string, savedAt: number, size: number}>}
+ */
+async function saveOfflinePost({ url, title, resources }) {
+  const page = new URL(url, location.origin);
+  if (page.origin !== location.origin) {
+    throw new Error('只能保存本站文章');
+  }
+  page.search = '';
+  page.hash = '';
+  
+  const cache = await caches.open(OFFLINE_CACHE);
+  const pageResponse = await fetch(new Request(page.href, { cache: 'reload' }));
+  if (!pageResponse.ok) {
+    throw new Error(`HTTP ${pageResponse.status}`);
+  }
+  let size = (await pageResponse.clone().blob()).size;
+  await cache.put(page.href, pageResponse);
+  
+  const queue = Array.from(new Set(resources || []))
+    .map(resource => new URL(resource, page.href))
+    .filter(resource => resource.origin === location.origin && !PRECACHE_REVISIONS.has(resource.pathname))
+    .map(resource => resource.href);
+  const saved = [];
+  const download = async () => {
+    while (queue.length) {
+      const resource = queue.shift();
+      try {
+        const response = await fetch(resource);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        size += (await response.clone().blob()).size;
+        await cache.put(resource, response);
+        saved.push(resource);
+      } catch (error) {
+        console.warn('Service Worker: Failed to save for offline', resource, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, download));
+  
+  const index = await readOfflineIndex(cache);
+  const post = { url: page.href, title: title || page.pathname, savedAt: Date.now(), size, resources: saved };
+  index[page.href] = post;
+  await writeOfflineIndex(cache, index);
+  await cacheOfflinePage();
+  
+  return { url: post.url, title: post.title, savedAt: post.savedAt, size: post.size };
+}
+
+/**
+ * 移除文章，其他已保存文章仍在使用的资源保留
+ */
+async function removeOfflinePost(url) {
+  const cache = await caches.open(OFFLINE_CACHE);
+  const index = await readOfflineIndex(cache);
+  const post = index[url];
+  if (!post) {
+    return false;
+  }
+  
+  delete index[url];
+  const inUse = new Set();
+  Object.values(index).forEach(other => other.resources.forEach(resource => inUse.add(resource)));
+  await Promise.all([url].concat(post.resources.filter(resource => !inUse.has(resource)))
+    .map(resource => cache.delete(resource)));
+  await writeOfflineIndex(cache, index);
+  return true;
+}
+
+async function listOfflinePosts() {
+  const cache = await caches.open(OFFLINE_CACHE);
+  const index = await readOfflineIndex(cache);
+  return Object.values(index)
+    .map(({ url, title, savedAt, size }) => ({ url, title, savedAt, size }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * 从离线保存和整站离线中查找；导航请求忽略查询参数（如搜索结果带的 ?highlight=）
+ */
+async function matchOffline(request) {
+  for (const cacheName of [OFFLINE_CACHE, LIBRARY_CACHE]) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (response) {
+      return response;
+    }
+  }
+  return null;
+}
+
+/**
+ * 缓存离线阅读列表页面，断网时可以打开
+ */
+async function cacheOfflinePage() {
+  try {
+    const cache = await caches.open(OFFLINE_CACHE);
+    const response = await fetch(OFFLINE_PAGE);
+    if (response.ok) {
+      await cache.put(OFFLINE_PAGE, response);
+    }
+  } catch (error) {
+    console.warn('Service Worker: Failed to cache offline page', error);
+  }
+}
+
+let libraryRun = null;
+let libraryProgress = { state: 'idle', done: 0, total: 0, bytes: 0, reason: '' };
+
+/**
+ * 经 caches.match 读取，关闭整站离线（缓存已删除）后不会重新创建缓存
+ */
+async function readLibraryState() {
+  const response = await caches.match(LIBRARY_STATE_KEY, { cacheName: LIBRARY_CACHE });
+  return response ? response.json() : { enabled: false, posts: {}, syncedAt: 0 };
+}
+
+function writeLibraryState(cache, state) {
+  return cache.put(LIBRARY_STATE_KEY, new Response(JSON.stringify(state), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+async function libraryStatus() {
+  const state = await readLibraryState();
+  const posts = Object.values(state.posts);
+  return Object.assign({
+    enabled: state.enabled,
+    syncedAt: state.syncedAt
+  }, libraryRun ? libraryProgress : {
+    state: libraryProgress.state === 'paused' ? 'paused' : 'idle',
+    done: posts.length,
+    total: Math.max(posts.length, libraryProgress.total),
+    bytes: posts.reduce((sum, post) => sum + post.bytes, 0),
+    reason: libraryProgress.reason
+  });
+}
+
+/**
+ * 开启后立即开始同步；关闭时停止同步并删除整站离线的缓存
+ */
+async function setLibraryEnabled(event, enabled) {
+  if (!enabled) {
+    libraryProgress = { state: 'idle', done: 0, total: 0, bytes: 0, reason: '' };
+    if (libraryRun) {
+      libraryRun.cancelled = true;
+      await libraryRun.catch(() => {});
+    }
+    await caches.delete(LIBRARY_CACHE);
+    return libraryStatus();
+  }
+  
+  const state = await readLibraryState();
+  state.enabled = true;
+  const cache = await caches.open(LIBRARY_CACHE);
+  await writeLibraryState(cache, state);
+  event.waitUntil(startLibrarySync(true));
+  return libraryStatus();
+}
+
+/**
+ * 同一时间只有一次同步；force 为 false 时距上次完成不足 LIBRARY_SYNC_INTERVAL 则跳过
+ */
+function startLibrarySync(force) {
+  if (!libraryRun) {
+    const run = syncLibrary(force, () => run.cancelled)
+      .catch(error => {
+        console.error('Service Worker: Library sync failed', error);
+        return reportLibraryProgress({ state: 'error', reason: error.message });
+      })
+      .then(() => {
+        libraryRun = null;
+      });
+    libraryRun = run;
+  }
+  return libraryRun;
+}
+
+/**
+ * 需要暂停的网络状况，返回原因
+ */
+function meteredReason() {
+  const connection = typeof navigator !== 'undefined' && navigator.connection;
+  if (!connection) {
+    return '';
+  }
+  if (connection.saveData) {
+    return '已开启省流量模式';
+  }
+  if (connection.type === 'cellular' || connection.metered) {
+    return '正在使用按流量计费的网络';
+  }
+  return '';
+}
+
+function reportLibraryProgress(change) {
+  libraryProgress = Object.assign({}, libraryProgress, change);
+  return notifyAllClients(Object.assign({ type: 'LIBRARY_PROGRESS' }, libraryProgress));
+}
+
+/**
+ * 按 atom.xml 的 updated（不在订阅中的文章用 sitemap.xml 的 lastmod）判断文章是否有变化，
+ * 只下载新增和变化的文章，删除已下线的文章；每篇完成后保存状态，中断后从断点继续
+ */
+async function syncLibrary(force, cancelled) {
+  const state = await readLibraryState();
+  if (!state.enabled || (!force && Date.now() - state.syncedAt < LIBRARY_SYNC_INTERVAL)) {
+    return;
+  }
+  const cache = await caches.open(LIBRARY_CACHE);
+  
+  const reason = meteredReason();
+  if (reason) {
+    await reportLibraryProgress({ state: 'paused', reason });
+    return;
+  }
+  
+  const posts = await listLibraryPosts();
+  const current = new Set(posts.map(post => post.url));
+  for (const url of Object.keys(state.posts)) {
+    if (!current.has(url)) {
+      await removeLibraryPost(cache, state, url);
+    }
+  }
+  
+  const pending = [];
+  for (const post of posts) {
+    const saved = state.posts[post.url];
+    if (!saved || saved.version !== post.version || !(await cache.match(post.url))) {
+      pending.push(post);
+    }
+  }
+  
+  const bytes = () => Object.values(state.posts).reduce((sum, post) => sum + post.bytes, 0);
+  await reportLibraryProgress({
+    state: 'running',
+    done: posts.length - pending.length,
+    total: posts.length,
+    bytes: bytes(),
+    reason: ''
+  });
+  
+  for (const post of pending) {
+    if (cancelled()) {
+      return;
+    }
+    const pause = meteredReason();
+    if (pause) {
+      await writeLibraryState(cache, state);
+      await reportLibraryProgress({ state: 'paused', reason: pause });
+      return;
+    }
+    
+    try {
+      state.posts[post.url] = await cacheLibraryPost(cache, post, state.posts[post.url]);
+    } catch (error) {
+      console.warn('Service Worker: Failed to cache post', post.url, error);
+    }
+    await writeLibraryState(cache, state);
+    await reportLibraryProgress({ done: libraryProgress.done + 1, bytes: bytes() });
+  }
+  
+  state.syncedAt = Date.now();
+  await writeLibraryState(cache, state);
+  await reportLibraryProgress({ state: 'done' });
+}
+
+/**
+ * 合并 content.json 与 sitemap.xml 中的文章，附上版本（atom.xml 的 updated 或 sitemap.xml 的 lastmod）
+ * @returns {Promise<Array<{url: string, title: string, version: string}>>}
+ */
+async function listLibraryPosts() {
+  const text = url => fetch(url, { cache: 'no-cache' })
+    .then(response => (response.ok ? response.text() : ''))
+    .catch(() => '');
+  const [json, sitemap, atom] = await Promise.all([text('/content.json'), text('/sitemap.xml'), text('/atom.xml')]);
+  
+  const posts = new Map();
+  const add = (href, fields) => {
+    const pathname = new URL(href, location.origin).pathname;
+    if (!ARTICLE_PATTERN.test(pathname)) return;
+    const url = new URL(encodeURI(safeDecodeURI(pathname)), location.origin).href;
+    posts.set(url, Object.assign(posts.get(url) || { url, title: '', version: '' }, fields));
+  };
+  
+  try {
+    (json ? JSON.parse(json) : []).forEach(post => add('/' + post.path, { title: post.title }));
+  } catch (error) {
+    console.warn('Service Worker: Invalid content.json', error);
+  }
+  
+  const sitemapPattern = /<url>[\s\S]*?<loc>([^<]+)<\/loc>(?:[\s\S]*?<lastmod>([^<]+)<\/lastmod>)?[\s\S]*?<\/url>/g;
+  let match;
+  while ((match = sitemapPattern.exec(sitemap)) !== null) {
+    add(match[1].trim(), match[2] ? { lastmod: match[2].trim() } : {});
+  }
+  
+  const entryPattern = /<entry>[\s\S]*?<link href="([^"]+)"[\s\S]*?<updated>([^<]+)<\/updated>[\s\S]*?<\/entry>/g;
+  while ((match = entryPattern.exec(atom)) !== null) {
+    add(match[1], { updated: match[2].trim() });
+  }
+  
+  return Array.from(posts.values()).map(post => ({
+    url: post.url,
+    title: post.title,
+    version: post.updated || post.lastmod || ''
+  }));
+}
+
+function safeDecodeURI(text) {
+  try {
+    return decodeURI(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * 下载文章页面及正文中的图片；文章有变化时重新下载页面，已缓存的图片不重复下载
+ */
+async function cacheLibraryPost(cache, post, previous) {
+  const response = await fetch(new Request(post.url, { cache: 'no-cache' }));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const html = await response.clone().text();
+  await cache.put(post.url, response);
+  
+  let bytes = new Blob([html]).size;
+  const resources = articleImages(html, post.url);
+  const queue = resources.slice();
+  const download = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        let image = await cache.match(url);
+        if (!image) {
+          image = await fetch(url);
+          if (!image.ok) {
+            throw new Error(`HTTP ${image.status}`);
+          }
+          await cache.put(url, image.clone());
+        }
+        bytes += (await image.blob()).size;
+      } catch (error) {
+        console.warn('Service Worker: Failed to cache image', url, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: LIBRARY_CONCURRENCY }, download));
+  
+  // 文章改版后不再使用的图片
+  if (previous) {
+    const stale = previous.resources.filter(url => resources.indexOf(url) === -1);
+    await Promise.all(stale.map(url => cache.delete(url)));
+  }
+  
+  return { title: post.title, version: post.version, bytes, resources };
+}
+
+/**
+ * 正文（#articleContent 到转载声明之间）中的图片和文章封面，只取同源且不在预缓存中的地址
+ */
+function articleImages(html, base) {
+  const start = html.indexOf('id="articleContent"');
+  const end = html.indexOf('id="reprint-statement"', start);
+  const content = start === -1 ? '' : html.slice(start, end === -1 ? undefined : end);
+  const urls = [];
+  
+  const cover = /class="[^"]*post-cover[^"]*"[^>]*url\('([^']+)'\)/.exec(html);
+  if (cover) {
+    urls.push(cover[1]);
+  }
+  (content.match(/<img\b[^>]*>/g) || []).forEach(tag => {
+    const source = /\b(?:data-original|data-src|src)="([^"]+)"/.exec(tag);
+    if (source) {
+      urls.push(source[1]);
+    }
+  });
+  
+  return urls
+    .map(url => new URL(url.replace(/&amp;/g, '&'), base))
+    .filter(url => url.origin === location.origin && !PRECACHE_REVISIONS.has(url.pathname))
+    .map(url => url.href)
+    .filter((url, i, list) => list.indexOf(url) === i);
+}
+
+async function removeLibraryPost(cache, state, url) {
+  const post = state.posts[url];
+  delete state.posts[url];
+  const inUse = new Set();
+  Object.values(state.posts).forEach(other => other.resources.forEach(resource => inUse.add(resource)));
+  await Promise.all([url].concat(post.resources.filter(resource => !inUse.has(resource)))
+    .map(resource => cache.delete(resource)));
+}
+
+// 后台同步（如果支持）：发送离线时保存的评论
 self.addEventListener('sync', event => {
-  if (event.tag === 'background-sync') {
+  if (event.tag === CommentOutbox.SYNC_TAG) {
     event.waitUntil(doBackgroundSync());
   }
 });
 
+/**
+ * 网络错误时重新抛出，由浏览器稍后再次触发同步；每条评论的结果通知所有打开的页面
+ */
 async function doBackgroundSync() {
   try {
-    // 这里可以添加后台同步逻辑
-    // 比如同步离线时的评论、点赞等操作
-    console.log('Background sync completed');
+    const result = await CommentOutbox.shared().flush(message => notifyAllClients(message));
+    console.log(`Background sync completed: ${result.sent} sent, ${result.failed} failed`);
   } catch (error) {
     console.error('Background sync failed:', error);
+    throw error;
   }
 }
 
+async function notifyAllClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+}
+
 // 推送通知（如果需要）
 self.addEventListener('push', event => {
   if (event.data) {
-    const data = event.data.json();
-    const options = {
-      body: data.body,
-      icon: '/favicon.png',
-      badge: '/favicon.png',
-      vibrate: [100, 50, 100],
-      data: {
-        dateOfArrival: Date.now(),
-        primaryKey: data.primaryKey
-      },
-      actions: [
-        {
-          action: 'explore',
-          title: '查看详情',
-          icon: '/images/checkmark.png'
-        },
-        {
-          action: 'close',
-          title: '关闭',
-          icon: '/images/xmark.png'
-        }
-      ]
-    };
+    let data;
+    try {
+      data = event.data.json();
+    } catch (error) {
+      data = { body: event.data.text() };
+    }
+    const url = localPostUrl(data.url);
     
-    event.waitUntil(
-      self.registration.showNotification(data.title, options)
-    );
+    event.waitUntil(Promise.all([
+      showPostNotification(data.title || 'usut 有新文章', data.body || '', url),
+      markFeedSeen([url])
+    ]));
+  }
+});
+
+// 定期后台同步（已安装的应用，且用户开启了“订阅更新”）：检查新文章
+self.addEventListener('periodicsync', event => {
+  if (event.tag === FEED_SYNC_TAG) {
+    event.waitUntil(checkFeed(true).catch(error => {
+      console.warn('Service Worker: Feed check failed', error);
+    }));
   }
 });
 
-// 通知点击处理
+// 通知点击处理：打开通知对应的文章，已打开时切换到该页面
 self.addEventListener('notificationclick', event => {
   event.notification.close();
   
-  if (event.action === 'explore') {
-    event.waitUntil(
-      clients.openWindow('/')
-    );
+  if (event.action !== 'close') {
+    event.waitUntil(openWindow(localPostUrl((event.notification.data || {}).url)));
   }
 });
 
+async function openWindow(url) {
+  const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const opened = windows.find(client => client.url === url && 'focus' in client);
+  return opened ? opened.focus() : clients.openWindow(url);
+}
+
+/**
+ * 只打开本站地址；订阅源中的链接使用正式域名，换成当前域名
+ */
+function localPostUrl(href) {
+  try {
+    const url = new URL(href || '/', location.origin);
+    if (url.origin === location.origin || PostResolver.HOSTS.indexOf(url.host) !== -1) {
+      return location.origin + url.pathname + url.search + url.hash;
+    }
+  } catch (error) {
+    // 无效地址，打开首页
+  }
+  return location.origin + '/';
+}
+
+function showPostNotification(title, body, url) {
+  if (typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+    return Promise.resolve();
+  }
+  return self.registration.showNotification(title, {
+    body,
+    icon: '/favicon.png',
+    badge: '/favicon.png',
+    vibrate: [100, 50, 100],
+    tag: url,
+    data: {
+      dateOfArrival: Date.now(),
+      url
+    },
+    actions: [
+      {
+        action: 'explore',
+        title: '查看详情',
+        icon: '/images/checkmark.png'
+      },
+      {
+        action: 'close',
+        title: '关闭',
+        icon: '/images/xmark.png'
+      }
+    ]
+  });
+}
+
+/**
+ * 对比 atom.xml 与已通知的文章，为新文章发通知；notify 为 false 或第一次检查时只记录现有文章，
+ * 开启订阅时不会把旧文章当作新文章
+ */
+async function checkFeed(notify) {
+  const response = await fetch('/atom.xml', { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const entries = parseFeedEntries(await response.text());
+  const seen = await readFeedSeen();
+  const fresh = seen ? entries.filter(entry => seen.indexOf(entry.url) === -1) : [];
+  
+  if (notify && fresh.length > FEED_NOTIFY_LIMIT) {
+    await showPostNotification('usut 有新文章',
+      `${fresh.length} 篇新文章：${fresh.slice(0, FEED_NOTIFY_LIMIT).map(entry => entry.title).join('、')} 等`,
+      location.origin + '/');
+  } else if (notify) {
+    await Promise.all(fresh.map(entry => showPostNotification(entry.title, entry.summary, entry.url)));
+  }
+  
+  await markFeedSeen(entries.map(entry => entry.url));
+  return { entries: entries.length, fresh: fresh.length };
+}
+
+/**
+ * @returns {Array<{url: string, title: string, summary: string}>}
+ */
+function parseFeedEntries(xml) {
+  const text = (entry, tag) => {
+    const match = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`).exec(entry);
+    return match ? decodeXmlText(match[1]) : '';
+  };
+  return (xml.match(/<entry>[\s\S]*?<\/entry>/g) || []).map(entry => {
+    const link = /<link href="([^"]+)"/.exec(entry);
+    return {
+      url: localPostUrl(link ? decodeXmlText(link[1]) : text(entry, 'id')),
+      title: text(entry, 'title'),
+      // summary 是转义后的 HTML，去掉标签只留文字
+      summary: text(entry, 'summary').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim().slice(0, 80)
+    };
+  });
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+async function readFeedSeen() {
+  const response = await caches.match(FEED_STATE_KEY, { cacheName: FEED_CACHE });
+  return response ? response.json() : null;
+}
+
+async function markFeedSeen(urls) {
+  const seen = (await readFeedSeen()) || [];
+  const merged = seen.filter(url => urls.indexOf(url) === -1).concat(urls).slice(-FEED_SEEN_LIMIT);
+  const cache = await caches.open(FEED_CACHE);
+  await cache.put(FEED_STATE_KEY, new Response(JSON.stringify(merged), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
 // 错误处理
 self.addEventListener('error', event => {
   console.error('Service Worker error:', event.error);
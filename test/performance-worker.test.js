@@ -0,0 +1,126 @@
+/**
+ * 性能优化 Worker 的压缩与解压测试
+ * 经 worker-loader.js 在 Node 的 worker_threads 中加载 js/performance-worker.js，按页面的消息格式发送任务，
+ * 检查 gzip、deflate 和 LZ4 对空数据、短文本、高度重复和较大数据的往返结果。
+ *
+ * 运行（Node 18 及以上）：
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Worker 脚本经 worker-loader.js 在 worker_threads 中加载
+const WORKER_SCRIPT = path.join(__dirname, 'worker-loader.js');
+
+const ALGORITHMS = ['gzip', 'deflate', 'lz4'];
+
+/**
+ * 固定种子的伪随机文本，内容每次相同，重复片段少
+ */
+function pseudoRandomText(length) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789 博客性能优化搜索离线缓存';
+  let seed = 20250502;
+  let text = '';
+  while (text.length < length) {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    text += alphabet[seed % alphabet.length];
+  }
+  return text;
+}
+
+const INPUTS = {
+  empty: '',
+  small: 'Hello, 世界！',
+  repetitive: 'usut 的博客 '.repeat(20000),
+  large: pseudoRandomText(512 * 1024)
+};
+
+/**
+ * 启动 Worker，等待 WORKER_READY 后返回按 taskId 收发消息的 run 函数
+ */
+function startWorker() {
+  // Worker 启动时的日志不输出到测试结果
+  const worker = new Worker(WORKER_SCRIPT, { workerData: { script: '/js/performance-worker.js' }, stdout: true });
+  const pending = new Map();
+  let nextId = 0;
+
+  const ready = new Promise((resolve, reject) => {
+    worker.once('error', reject);
+    worker.on('message', message => {
+      if (message.type === 'WORKER_READY') {
+        resolve();
+        return;
+      }
+      const task = pending.get(message.taskId);
+      if (!task || message.type === 'PROGRESS') return;
+      pending.delete(message.taskId);
+      if (message.type === 'SUCCESS') {
+        task.resolve(message.result);
+      } else {
+        task.reject(new Error(message.error || message.type));
+      }
+    });
+  });
+
+  const run = (type, data) => new Promise((resolve, reject) => {
+    const taskId = `test_${++nextId}`;
+    pending.set(taskId, { resolve, reject });
+    worker.postMessage({ type, data, taskId });
+  });
+
+  return ready.then(() => ({ run, terminate: () => worker.terminate() }));
+}
+
+test('performance-worker 压缩往返', async t => {
+  const worker = await startWorker();
+  t.after(() => worker.terminate());
+
+  for (const algorithm of ALGORITHMS) {
+    for (const [name, content] of Object.entries(INPUTS)) {
+      await t.test(`${algorithm}: ${name}`, async () => {
+        const compressed = await worker.run('DATA_COMPRESSION', { content, algorithm });
+        assert.strictEqual(compressed.algorithm, algorithm);
+        assert.strictEqual(compressed.originalSize, Buffer.byteLength(content));
+        assert.strictEqual(compressed.compressedSize, compressed.compressed.length);
+
+        const restored = await worker.run('DATA_DECOMPRESSION', { compressed: compressed.compressed, algorithm });
+        assert.strictEqual(restored.content, content);
+        assert.strictEqual(restored.size, compressed.originalSize);
+
+        if (name === 'repetitive') {
+          assert.ok(compressed.compressionRatio < 0.05, `压缩率 ${compressed.compressionRatio}`);
+        }
+      });
+    }
+
+    await t.test(`${algorithm}: base64 编码`, async () => {
+      const content = INPUTS.repetitive;
+      const compressed = await worker.run('DATA_COMPRESSION', { content, algorithm, encoding: 'base64' });
+      assert.strictEqual(typeof compressed.compressed, 'string');
+
+      const restored = await worker.run('DATA_DECOMPRESSION', { compressed: compressed.compressed, algorithm });
+      assert.strictEqual(restored.content, content);
+    });
+
+    await t.test(`${algorithm}: 二进制数据`, async () => {
+      const content = Uint8Array.from({ length: 70000 }, (value, i) => (i * 31) % 256);
+      const compressed = await worker.run('DATA_COMPRESSION', { content, algorithm });
+
+      const restored = await worker.run('DATA_DECOMPRESSION', { compressed: compressed.compressed, algorithm, binary: true });
+      assert.deepStrictEqual(Buffer.from(restored.content), Buffer.from(content));
+    });
+  }
+
+  await t.test('损坏的 LZ4 数据报错', async () => {
+    const compressed = await worker.run('DATA_COMPRESSION', { content: INPUTS.large, algorithm: 'lz4' });
+    const truncated = compressed.compressed.subarray(0, compressed.compressed.length - 100);
+    await assert.rejects(worker.run('DATA_DECOMPRESSION', { compressed: truncated, algorithm: 'lz4' }), /LZ4/);
+  });
+
+  await t.test('不支持的算法报错', async () => {
+    await assert.rejects(worker.run('DATA_COMPRESSION', { content: 'x', algorithm: 'brotli' }), /不支持的压缩算法/);
+  });
+});
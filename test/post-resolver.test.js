@@ -0,0 +1,29 @@
+/**
+ * web+blog 链接解析测试
+ * 无法解析的地址按关键词处理，转到站内搜索而不是抛出异常。
+ *
+ * 运行（Node 18 及以上）：
+ *   node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PostResolver = require('../js/post-resolver.js');
+
+const POSTS = [
+  { title: 'Hello World', path: '2025/05/02/hello-world/', slug: 'hello-world' }
+];
+
+test('按路径、slug 和站点地址解析文章', () => {
+  assert.strictEqual(PostResolver.target('web+blog:hello-world', POSTS), '/2025/05/02/hello-world/');
+  assert.strictEqual(PostResolver.target('web+blog://2025/05/02/hello-world/', POSTS), '/2025/05/02/hello-world/');
+  assert.strictEqual(PostResolver.target('https://315fang.github.io/2025/05/02/hello-world/', POSTS), '/2025/05/02/hello-world/');
+});
+
+test('无效的地址和编码不抛出异常', () => {
+  assert.strictEqual(PostResolver.normalize('web+blog:https://'), 'https://');
+  assert.strictEqual(PostResolver.target('web+blog:https://', POSTS), '/');
+
+  assert.strictEqual(PostResolver.normalize('https://315fang.github.io/%E0%A4%A'), '/%E0%A4%A');
+  assert.strictEqual(PostResolver.target('https://315fang.github.io/%E0%A4%A', POSTS), `/?q=${encodeURIComponent('%E0%A4%A')}`);
+});
@@ -0,0 +1,65 @@
+/**
+ * 搜索引擎测试
+ * 文章日期应按站点时区（Asia/Shanghai）取年月日，与永久链接一致，不随读者所在时区变化；
+ * 结果按读者在 tw_cn.js 中选择的字形显示。
+ *
+ * 运行（Node 18 及以上）：
+ *   node --test test/*.test.js
+ */
+
+// 模拟 UTC+8 以西的读者，需在创建任何 Date 之前设置
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchEngine = require('../js/search-engine.js');
+
+// 永久链接为 2024/01/01，content.json 中的 UTC 时间仍是前一天
+const POSTS = [
+  {
+    title: '新年第一篇',
+    content: '<p>元旦的博客优化记录</p>',
+    url: '/2024/01/01/new-year/',
+    date: '2023-12-31T16:00:00.000Z'
+  },
+  {
+    title: '年末总结',
+    content: '<p>年末的博客优化总结</p>',
+    url: '/2023/12/31/year-end/',
+    date: '2023-12-31T03:00:00.000Z'
+  }
+];
+
+const titles = (engine, query) => engine.search(query).map(result => engine.summarize(result).title).sort();
+
+test('跨 UTC 零点发布的文章按站点时区取日期', () => {
+  assert.strictEqual(new Date(POSTS[0].date).getDate(), 31, '测试应运行在 UTC+8 以西的时区');
+
+  assert.strictEqual(SearchEngine.formatDay(POSTS[0].date), '2024-01-01');
+  assert.strictEqual(SearchEngine.formatDay(POSTS[1].date), '2023-12-31');
+  assert.strictEqual(SearchEngine.formatDay(''), '');
+  assert.strictEqual(SearchEngine.formatDay('not a date'), '');
+});
+
+test('before: / after: 与永久链接中的日期一致', () => {
+  const engine = new SearchEngine().build(POSTS);
+
+  assert.deepStrictEqual(engine.docs.map(doc => doc.day), ['2024-01-01', '2023-12-31']);
+  assert.deepStrictEqual(titles(engine, '博客 after:2023-12-31'), ['新年第一篇']);
+  assert.deepStrictEqual(titles(engine, '博客 before:2024'), ['年末总结']);
+  assert.deepStrictEqual(titles(engine, '博客 after:2023'), ['新年第一篇']);
+});
+
+test('按 tw_cn.js 的 cookie 以读者所选字形显示', t => {
+  t.after(() => {
+    delete global.document;
+  });
+
+  assert.strictEqual(SearchEngine.toReaderScript('博客优化'), '博客优化');
+
+  global.document = { cookie: `theme=dark; ${SearchEngine.SCRIPT_COOKIE}=1` };
+  assert.strictEqual(SearchEngine.toReaderScript('博客优化 abc'), '博客優化 abc');
+
+  global.document.cookie = `${SearchEngine.SCRIPT_COOKIE}=2`;
+  assert.strictEqual(SearchEngine.toReaderScript('博客优化'), '博客优化');
+});
@@ -0,0 +1,22 @@
+/**
+ * 在 Node 的 worker_threads 中运行浏览器 Worker 脚本（仅供测试）
+ * 用 parentPort 提供 self、postMessage 和 addEventListener，importScripts 按站点根目录读取脚本并在全局作用域执行，
+ * 与浏览器中的行为一致；然后加载 workerData.script 指定的 Worker 脚本（站点路径，如 /js/performance-worker.js）。
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SITE_ROOT = path.join(__dirname, '..');
+
+globalThis.self = globalThis;
+self.postMessage = message => parentPort.postMessage(message);
+self.addEventListener = (type, listener) => parentPort.on(type, data => listener({ data }));
+self.importScripts = (...urls) => urls.forEach(url => {
+  const file = path.join(SITE_ROOT, url);
+  vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+});
+
+require(path.join(SITE_ROOT, workerData.script));
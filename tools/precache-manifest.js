@@ -0,0 +1,184 @@
+/**
+ * 预缓存清单生成器
+ * 从全部 HTML 页面出发，收集页面实际引用的 css/、js/、libs/、medias/ 文件，
+ * 并沿 CSS 的 url() 和 JS 中的绝对路径（Worker、importScripts 等）继续查找。
+ * 只预缓存站点外壳，即每个主题布局页面都用到的文件；只有部分页面用到的文件、音视频和旧字体格式
+ * 留给 sw.js 中按路由划分的运行时缓存。
+ * 为每个文件计算内容哈希，写入站点根目录的 precache-manifest.js 供 sw.js 导入。
+ * PRECACHE_PAGES 中的页面（如离线页面）及其引用的文件也纳入预缓存。
+ *
+ * 用法（每次 hexo generate 之后、部署之前运行）：
+ *   node tools/precache-manifest.js [站点根目录]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 纳入预缓存的目录
+const PRECACHE_DIRS = ['css', 'js', 'libs', 'medias'];
+
+// 本身需要预缓存的页面
+const PRECACHE_PAGES = ['/offline.html'];
+
+// 引用主题样式的页面才是布局页面，外壳取这些页面共同引用的文件；
+// 分享、协议处理等独立的小页面不参与计算
+const LAYOUT_STYLESHEET = '/css/matery.css';
+
+// 不预缓存的文件：音视频体积大且只在播放时需要；浏览器支持 woff2 时不会下载 ttf、eot、woff 和 SVG 字体
+const SKIP_ASSETS = [
+  /\.(?:mp3|m4a|aac|ogg|oga|wav|flac|mp4|webm)$/i,
+  /\.(?:ttf|otf|eot|woff)$/i,
+  /\/fonts?\/[^/]+\.svg$/i
+];
+
+// 不扫描的目录
+const SKIP_DIRS = new Set(['.git', 'node_modules', 'tools']);
+
+const OUTPUT_FILE = 'precache-manifest.js';
+
+/**
+ * 递归列出目录下的 HTML 文件
+ */
+function findPages(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return SKIP_DIRS.has(entry.name) ? [] : findPages(full);
+    }
+    return entry.name.endsWith('.html') ? [full] : [];
+  });
+}
+
+/**
+ * 提取文件中引用的站内路径，相对路径按所在文件解析
+ */
+function extractReferences(file, text, root) {
+  const base = '/' + path.relative(root, path.dirname(file)).split(path.sep).join('/');
+  const references = [];
+
+  // 属性、字符串和 url() 中以 / 开头的绝对路径
+  const absolute = /["'(\s=](\/(?:css|js|libs|medias)\/[^"'()\s<>]+)/g;
+  let match;
+  while ((match = absolute.exec(text)) !== null) {
+    references.push(match[1]);
+  }
+
+  // CSS 中的相对 url()
+  if (file.endsWith('.css')) {
+    const relative = /url\(\s*['"]?([^'")]+?)['"]?\s*\)/g;
+    while ((match = relative.exec(text)) !== null) {
+      const target = match[1];
+      if (!/^(?:[a-z]+:|\/|#)/i.test(target)) {
+        references.push(path.posix.join(base, target));
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * 将引用规范为站点路径，去掉查询参数与锚点，不在预缓存目录或文件不存在时返回 null
+ */
+function resolveAsset(reference, root) {
+  let pathname = reference.split(/[?#]/)[0];
+  try {
+    pathname = decodeURI(pathname);
+  } catch (error) {
+    return null;
+  }
+  pathname = path.posix.normalize(pathname);
+
+  const dir = pathname.split('/')[1];
+  if (PRECACHE_DIRS.indexOf(dir) === -1) return null;
+
+  const file = path.join(root, ...pathname.split('/'));
+  if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) return null;
+
+  return { pathname, file };
+}
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * 文件及其递归引用的全部站内文件，结果按文件缓存
+ * @returns {Set<string>} 站点路径
+ */
+function collectAssets(file, root, memo) {
+  if (memo.has(file)) {
+    return memo.get(file);
+  }
+  const assets = new Set();
+  memo.set(file, assets);
+
+  extractReferences(file, fs.readFileSync(file, 'utf8'), root).forEach(reference => {
+    const asset = resolveAsset(reference, root);
+    if (!asset || assets.has(asset.pathname)) return;
+    assets.add(asset.pathname);
+    if (/\.(css|js)$/.test(asset.file)) {
+      collectAssets(asset.file, root, memo).forEach(pathname => assets.add(pathname));
+    }
+  });
+
+  return assets;
+}
+
+/**
+ * 生成清单
+ * @returns {{version: string, assets: Array<{url: string, revision: string, size: number}>}}
+ */
+function buildManifest(root) {
+  const memo = new Map();
+  const shell = new Set();
+
+  // 每个布局页面都引用的文件
+  let common = null;
+  findPages(root).forEach(page => {
+    const assets = collectAssets(page, root, memo);
+    if (!assets.has(LAYOUT_STYLESHEET)) return;
+    common = common ? new Set(Array.from(common).filter(pathname => assets.has(pathname))) : assets;
+  });
+  (common || []).forEach(pathname => shell.add(pathname));
+
+  PRECACHE_PAGES.forEach(pathname => {
+    const file = path.join(root, ...pathname.split('/'));
+    if (fs.existsSync(file)) {
+      shell.add(pathname);
+      collectAssets(file, root, memo).forEach(asset => shell.add(asset));
+    }
+  });
+
+  const list = Array.from(shell)
+    .filter(pathname => !SKIP_ASSETS.some(pattern => pattern.test(pathname)))
+    .map(pathname => {
+      const content = fs.readFileSync(path.join(root, ...pathname.split('/')));
+      return { url: encodeURI(pathname), revision: hash(content), size: content.length };
+    })
+    .sort((a, b) => (a.url < b.url ? -1 : 1));
+
+  return {
+    version: hash(list.map(asset => `${asset.url} ${asset.revision}`).join('\n')),
+    assets: list
+  };
+}
+
+function main() {
+  const root = path.resolve(process.argv[2] || path.join(__dirname, '..'));
+  const manifest = buildManifest(root);
+  const output = `// 由 tools/precache-manifest.js 生成，请勿手动修改\n` +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+
+  fs.writeFileSync(path.join(root, OUTPUT_FILE), output);
+
+  const total = manifest.assets.reduce((sum, asset) => sum + asset.size, 0);
+  console.log(`预缓存清单已生成: ${manifest.assets.length} 个文件, ${(total / 1024).toFixed(1)} KB, 版本 ${manifest.version}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildManifest };
@@ -0,0 +1,203 @@
+/**
+ * 推送服务（开发用替身）
+ * 实现页面“订阅更新”使用的接口，并按 Web Push 协议（VAPID + aes128gcm 加密）向浏览器发送通知，
+ * 不依赖第三方包。正式环境的推送服务只需实现同样的接口：
+ *   GET  /key          返回 { publicKey }，即 VAPID 公钥（base64url），页面订阅时作为 applicationServerKey
+ *   POST /subscribe    请求体为 PushSubscription.toJSON()，保存订阅
+ *   POST /unsubscribe  请求体为 { endpoint }，删除订阅
+ *   POST /notify       请求体为 { title, body, url }，向全部订阅发送通知，返回 { sent, removed }
+ * VAPID 密钥和订阅保存在数据文件中，重启后仍然有效。
+ *
+ * 用法：
+ *   node tools/push-server.js [端口，默认 8787] [数据文件]
+ *   curl -X POST localhost:8787/notify -d '{"title":"新文章","body":"...","url":"/2025/05/02/hello-world/"}'
+ * 本地预览站点（localhost）时页面默认连接 http://localhost:8787，其他地址通过 meta fox-push-endpoint 配置。
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8787;
+const DATA_FILE = process.argv[3] || path.join(os.tmpdir(), 'blog-push-server.json');
+
+// VAPID 联系方式，推送服务商在出现问题时使用
+const VAPID_SUBJECT = 'mailto:2196342290@qq.com';
+
+// 推送服务保留未送达消息的时间（秒）
+const TTL = 24 * 60 * 60;
+
+// 加密记录大小，通知内容远小于这个值，只需一条记录
+const RECORD_SIZE = 4096;
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+
+function loadData() {
+  if (fs.existsSync(DATA_FILE)) {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  }
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const data = { vapid: privateKey.export({ format: 'jwk' }), subscriptions: [] };
+  saveData(data);
+  return data;
+}
+
+function saveData(data) {
+  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * 未压缩格式的 P-256 公钥（0x04 || x || y）
+ */
+function rawPublicKey(jwk) {
+  return Buffer.concat([Buffer.from([4]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]);
+}
+
+/**
+ * VAPID 认证头（RFC 8292）
+ */
+function vapidHeader(endpoint, jwk) {
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: VAPID_SUBJECT
+  }));
+  const key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${base64url(signature)}, k=${base64url(rawPublicKey(jwk))}`;
+}
+
+/**
+ * 按 RFC 8291 加密通知内容，返回 aes128gcm 格式的请求体
+ */
+function encrypt(subscription, payload) {
+  const clientKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(clientKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 表示最后一条记录
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverKey.length, 20);
+  return Buffer.concat([header, serverKey, ciphertext]);
+}
+
+async function sendNotification(subscription, message, jwk) {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: vapidHeader(subscription.endpoint, jwk),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(TTL)
+    },
+    body: encrypt(subscription, JSON.stringify(message))
+  });
+  return response.status;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function createServer(data) {
+  const routes = {
+    'GET /key': () => ({ publicKey: base64url(rawPublicKey(data.vapid)) }),
+
+    'POST /subscribe': body => {
+      if (!body.endpoint || !body.keys || !body.keys.p256dh || !body.keys.auth) {
+        throw new Error('订阅信息不完整');
+      }
+      data.subscriptions = data.subscriptions.filter(item => item.endpoint !== body.endpoint).concat(body);
+      saveData(data);
+      return { count: data.subscriptions.length };
+    },
+
+    'POST /unsubscribe': body => {
+      data.subscriptions = data.subscriptions.filter(item => item.endpoint !== body.endpoint);
+      saveData(data);
+      return { count: data.subscriptions.length };
+    },
+
+    'POST /notify': async body => {
+      const message = { title: body.title || 'usut 有新文章', body: body.body || '', url: body.url || '/' };
+      let sent = 0;
+      const expired = [];
+      for (const subscription of data.subscriptions) {
+        try {
+          const status = await sendNotification(subscription, message, data.vapid);
+          if (status === 404 || status === 410) {
+            expired.push(subscription.endpoint);
+          } else if (status < 300) {
+            sent++;
+          } else {
+            console.warn('推送失败:', status, subscription.endpoint);
+          }
+        } catch (error) {
+          console.warn('推送失败:', error.message, subscription.endpoint);
+        }
+      }
+      // 已失效的订阅
+      data.subscriptions = data.subscriptions.filter(item => expired.indexOf(item.endpoint) === -1);
+      saveData(data);
+      return { sent, removed: expired.length };
+    }
+  };
+
+  return http.createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+
+    const route = routes[`${request.method} ${new URL(request.url, 'http://localhost').pathname}`];
+    if (!route) {
+      response.writeHead(404).end();
+      return;
+    }
+    try {
+      const result = await route(await readBody(request));
+      response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(result));
+    } catch (error) {
+      response.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: error.message }));
+    }
+  });
+}
+
+if (require.main === module) {
+  const data = loadData();
+  createServer(data).listen(PORT, () => {
+    console.log(`推送服务已启动: http://localhost:${PORT}（${data.subscriptions.length} 个订阅，数据文件 ${DATA_FILE}）`);
+  });
+}
+
+module.exports = { createServer, encrypt, vapidHeader };